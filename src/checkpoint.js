@@ -0,0 +1,98 @@
+import fs from 'fs/promises';
+
+export const DEFAULT_CHECKPOINT_FILE = 'ingest-checkpoint.json';
+
+// Writes are chained so a periodic save and a Ctrl-C flush never interleave
+let writeChain = Promise.resolve();
+
+/**
+ * Creates the initial checkpoint for a new ingestion run
+ * @param {Object} target - Run target ({ org, repo, ref, path, partition, source })
+ * @param {number} batchSize - Entries per batch (needed to rebuild identical batches on resume)
+ * @param {Object} stats - Stats object shared with the report
+ * @returns {Object} Fresh checkpoint
+ */
+export function createCheckpoint(target, batchSize, stats) {
+  const {
+    org, repo, ref, path, partition, source,
+  } = target;
+
+  return {
+    org,
+    repo,
+    ref,
+    path,
+    partition,
+    // Local content directory of a --source run
+    source: source || null,
+    // 'parsing' while resources are read and their batches streamed, then 'sending' for the
+    // reconcile removals
+    phase: 'parsing',
+    jobId: null,
+    jobUrl: null,
+    // Resources whose entries were all sent, with what later resources depend on
+    processedPaths: [],
+    pagesWithoutMedia: [],
+    seenMedia: [],
+    currentKeys: [],
+    inventory: [],
+    // Removal entries once parsing is done, sent as batches numbered from firstRemovalBatch
+    entries: [],
+    firstRemovalBatch: null,
+    batchSize,
+    lastBatchSent: -1,
+    // Where the entries of the first resource not in processedPaths go: the batch index, and
+    // the entries of earlier resources already in that batch
+    nextBatch: 0,
+    openBatch: [],
+    // Fingerprints of the batches handled from nextBatch on, by index, so --resume can skip
+    // the ones sent after a batch still in flight
+    sentBatches: {},
+    stats,
+    startedAt: new Date().toISOString(),
+  };
+}
+
+/**
+ * Reads a checkpoint file
+ * @param {string} filename - Path to the checkpoint file
+ * @returns {Promise<Object|null>} Checkpoint, or null if the file does not exist
+ */
+export async function loadCheckpoint(filename = DEFAULT_CHECKPOINT_FILE) {
+  try {
+    const content = await fs.readFile(filename, 'utf-8');
+    return JSON.parse(content);
+  } catch (err) {
+    if (err.code === 'ENOENT') return null;
+    throw new Error(`Failed to read checkpoint ${filename}: ${err.message}`);
+  }
+}
+
+/**
+ * Atomically writes a checkpoint (temp file + rename) so a crash never leaves it truncated
+ * @param {Object} checkpoint - Checkpoint to write
+ * @param {string} filename - Path to the checkpoint file
+ * @returns {Promise<void>}
+ */
+export function saveCheckpoint(checkpoint, filename = DEFAULT_CHECKPOINT_FILE) {
+  const content = JSON.stringify({ ...checkpoint, updatedAt: new Date().toISOString() });
+  const tmpFile = `${filename}.tmp`;
+
+  writeChain = writeChain
+    .catch(() => {})
+    .then(async () => {
+      await fs.writeFile(tmpFile, content);
+      await fs.rename(tmpFile, filename);
+    });
+
+  return writeChain;
+}
+
+/**
+ * Removes the checkpoint file after a run completes
+ * @param {string} filename - Path to the checkpoint file
+ */
+export async function clearCheckpoint(filename = DEFAULT_CHECKPOINT_FILE) {
+  await writeChain.catch(() => {});
+  await fs.rm(filename, { force: true });
+}
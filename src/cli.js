@@ -1,6 +1,7 @@
 #!/usr/bin/env node
 
-import { Command } from 'commander';
+import crypto from 'crypto';
+import { Command, Option } from 'commander';
 import dotenv from 'dotenv';
 import chalk from 'chalk';
 import ora from 'ora';
@@ -8,89 +9,375 @@ import PQueue from 'p-queue';
 import {
   createBulkStatusJob,
   pollJobStatus,
+  resolveJob,
+  cancelJob,
   getJobDetails,
   fetchMarkdown,
+  fetchSheet,
   shouldProcessResource,
+  shouldProcessSheet,
+  isSheetResource,
   isMediaFile,
+  parseSince,
+  filterResourcesSince,
+  getResourceTimestamp,
+  getEarliestTime,
+  sortResourcesByHistory,
+  matchesPathPattern,
+  PARTITIONS,
 } from './discovery.js';
 import {
-  extractMediaReferences, batchEntries, getContentType, extractDimensions, extractMediaHash,
+  extractMediaReferences, extractSheetMediaReferences, batchEntries, getContentType,
+  extractDimensions, extractMediaHash, getMediaIdentity, getEntryIdentity,
 } from './parser.js';
 import {
-  sendMediaLogBatch, saveFailedBatch, generateReport, verifyMediaLog, enrichEntriesWithUser,
+  sendMediaLogBatch, saveFailedBatch, generateReport, verifyMediaLog, enrichEntryWithUser,
+  buildPreviewUserMap, loadFailedBatches, writeFailedBatches, fetchMediaLogEntries,
+  buildMediaLogIndex, getLoggedMediaState, getMediaLogKey, fetchPreviewEvents, getPreviewUsers,
+  USER_STRATEGIES,
 } from './ingestor.js';
+import {
+  loadUserMap, getMappedUser, parseUserPriority, DEFAULT_USER_PRIORITY,
+} from './user-map.js';
 import { validateToken } from './token-manager.js';
+import {
+  createCheckpoint, loadCheckpoint, saveCheckpoint, clearCheckpoint, DEFAULT_CHECKPOINT_FILE,
+} from './checkpoint.js';
+import { getLastRun, recordRun } from './run-history.js';
+import { comparePartitionMedia, generateComparisonReport } from './compare.js';
+import { buildRemoveEntries } from './reconcile.js';
+import {
+  getSiteOrigin, getPageUrl, resolveLoggedEntry, upgradeEntry, validateMediaLogEntry,
+} from './schema.js';
+import {
+  probeMedia, digestMedia, loadProbeCache, saveProbeCache, DEFAULT_PROBE_CACHE_FILE,
+} from './probe.js';
+import { buildInventory, writeInventory } from './inventory.js';
+import { listLocalResources, readLocalMarkdown, readLocalSheet } from './local-source.js';
+import { setRateLimit, DEFAULT_RATE_LIMIT } from './rate-limiter.js';
+import { log, logToStderr } from './log.js';
+import {
+  loadSitesConfig, getSiteCheckpointFile, combineStats, generateSitesReport,
+} from './sites.js';
 
 dotenv.config();
 
+// Save the checkpoint every N processed resources while parsing
+const CHECKPOINT_INTERVAL = 25;
+
+// Report counters that grow per parsed resource; a checkpoint only counts finished resources
+const RESOURCE_COUNTERS = [
+  'markdownPagesProcessed', 'standaloneMediaFound', 'mediaFromMarkdown', 'sheetsProcessed',
+  'mediaFromSheets', 'totalMediaFound', 'alreadyPresent', 'newEntries', 'timestampsFromJob',
+  'timestampsFromPreviewLog', 'timestampsFromFiles', 'timestampsMissing', 'invalidEntries',
+  'mediaIngested', 'mediaReused',
+];
+
+// Identifies a batch by what it logs, so --resume only skips a batch it rebuilt identically
+function getBatchFingerprint(batch) {
+  const keys = batch.map((entry) => `${entry.operation} ${getMediaLogKey(entry)}`).join('\n');
+  return crypto.createHash('sha1').update(keys).digest('hex').slice(0, 12);
+}
+
+// Report counter for each source of --timestamps
+const TIMESTAMP_COUNTERS = {
+  job: 'timestampsFromJob',
+  'preview-log': 'timestampsFromPreviewLog',
+  file: 'timestampsFromFiles',
+  none: 'timestampsMissing',
+};
+
+// Process exit codes, documented in the README for CI pipelines
+const EXIT_CODES = {
+  SUCCESS: 0,
+  ERROR: 1,
+  PARTIAL_FAILURE: 2,
+  AUTH_FAILURE: 3,
+  DISCOVERY_FAILURE: 4,
+};
+
+// Set by --json: stdout is reserved for the result document
+let jsonMode = false;
+
+// Set by --json, and when several sites run side by side
+let silentSpinners = false;
+
+// Interrupt handlers of the sites being ingested; each returns the site's interrupted result
+const siteInterruptHandlers = new Set();
+
 // Helper Functions
+
+// Splits a comma-separated option value; `true` (flag without a value) means no restriction
+function parseListOption(value) {
+  if (typeof value !== 'string') return [];
+  return value.split(',').map((item) => item.trim()).filter(Boolean);
+}
+
+// Switches to --json output: no colour or spinners, and all progress text goes to stderr
+function enableJsonMode() {
+  jsonMode = true;
+  silentSpinners = true;
+  chalk.level = 0;
+  logToStderr();
+}
+
+function createSpinner(text) {
+  return ora({ text, isSilent: silentSpinners });
+}
+
+function writeJsonResult(result) {
+  if (jsonMode) {
+    process.stdout.write(`${JSON.stringify(result, null, 2)}\n`);
+  }
+}
+
+// Maps a fatal error to an exit code; API errors carry the HTTP status
+function getExitCode(error, phase) {
+  if (error.status === 401 || error.status === 403) return EXIT_CODES.AUTH_FAILURE;
+  if (phase === 'discovery') return EXIT_CODES.DISCOVERY_FAILURE;
+  return EXIT_CODES.ERROR;
+}
+
+// Preview log window for user attribution: --lookback, or an absolute range when
+// --lookback-from or --lookback-to is set (a missing end is derived from --lookback)
+function getLookback(options) {
+  const { lookback, lookbackFrom, lookbackTo } = options;
+  if (!/^\d+[mhdw]$/.test(lookback)) {
+    throw new Error(`Invalid --lookback value "${lookback}" (use e.g. 30d, 12h or 8w)`);
+  }
+  if (!lookbackFrom && !lookbackTo) {
+    // The log API takes minutes, hours or days
+    const weeks = /^(\d+)w$/.exec(lookback);
+    return { since: weeks ? `${weeks[1] * 7}d` : lookback };
+  }
+
+  const parseDate = (value, option) => {
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) {
+      throw new Error(`Invalid ${option} date "${value}" (use an ISO date, e.g. 2025-01-31)`);
+    }
+    return date;
+  };
+  const to = lookbackTo ? parseDate(lookbackTo, '--lookback-to') : new Date();
+  const from = lookbackFrom
+    ? parseDate(lookbackFrom, '--lookback-from')
+    : parseSince(lookback, to.getTime());
+  if (from >= to) {
+    throw new Error(`--lookback-from (${from.toISOString()}) must be before --lookback-to (${to.toISOString()})`);
+  }
+  return { from: from.toISOString(), to: to.toISOString() };
+}
+
 function showTokenHelp() {
-  console.log(chalk.blue.bold('\n=== How to Get Your Authentication Token ===\n'));
-
-  console.log(chalk.cyan('Option 1: Extract from AEM Sidekick Extension (Recommended)\n'));
-  console.log(chalk.gray('1. Make sure you are logged into your project via Sidekick'));
-  console.log(chalk.gray('   If not logged in, open: ') + chalk.white('https://main--{repo}--{org}.aem.page/'));
-  console.log(chalk.gray('   and use Sidekick to login\n'));
-  console.log(chalk.gray('2. Open Chrome and go to: ') + chalk.white('chrome://extensions/?id=igkmdomcgoebiipaifhmpfjhbjccggml'));
-  console.log(chalk.gray('3. Click the blue ') + chalk.white('"service worker"') + chalk.gray(' link under "Inspect views"'));
-  console.log(chalk.gray('4. In the Console tab, paste and run:\n'));
-  console.log(chalk.green(`   chrome.storage.session.get('projects').then(data => {
+  log(chalk.blue.bold('\n=== How to Get Your Authentication Token ===\n'));
+
+  log(chalk.cyan('Option 1: Extract from AEM Sidekick Extension (Recommended)\n'));
+  log(chalk.gray('1. Make sure you are logged into your project via Sidekick'));
+  log(chalk.gray('   If not logged in, open: ') + chalk.white('https://main--{repo}--{org}.aem.page/'));
+  log(chalk.gray('   and use Sidekick to login\n'));
+  log(chalk.gray('2. Open Chrome and go to: ') + chalk.white('chrome://extensions/?id=igkmdomcgoebiipaifhmpfjhbjccggml'));
+  log(chalk.gray('3. Click the blue ') + chalk.white('"service worker"') + chalk.gray(' link under "Inspect views"'));
+  log(chalk.gray('4. In the Console tab, paste and run:\n'));
+  log(chalk.green(`   chrome.storage.session.get('projects').then(data => {
      data.projects.forEach(p => {
        if (p.authToken) {
-         console.log(\`\\n\${p.owner}/\${p.repo}:\`);
-         console.log(p.authToken);
+         log(\`\\n\${p.owner}/\${p.repo}:\`);
+         log(p.authToken);
        }
      });
    })\n`));
-  console.log(chalk.gray('5. Find your org/repo and copy the token below it\n'));
-  console.log(chalk.yellow('   Note: Sidekick tokens are org/repo specific!'));
-  console.log(chalk.gray('   Visit: ') + chalk.white('https://main--{repo}--{org}.aem.page/') + chalk.gray(' and use Sidekick first\n'));
-
-  console.log(chalk.cyan('Option 2: Create Admin API Key\n'));
-  console.log(chalk.yellow('   Note: You must have "admin" role to create API keys!\n'));
-  console.log(chalk.gray('1. Visit: ') + chalk.white('https://admin.hlx.page/login'));
-  console.log(chalk.gray('2. Sign in with your Adobe credentials'));
-  console.log(chalk.gray('3. Go to: ') + chalk.white('https://admin.hlx.page/config/{org}/sites/{site}/apiKeys.json'));
-  console.log(chalk.gray('4. POST to create new API key with these settings:'));
-  console.log(chalk.gray('   - Role: ') + chalk.white('admin'));
-  console.log(chalk.gray('   - Scopes: ') + chalk.white('log:read, log:write'));
-  console.log(chalk.gray('5. Copy the returned API key\n'));
-
-  console.log(chalk.cyan('Required Permissions:\n'));
-  console.log(chalk.gray('For user enrichment from preview logs, your token needs:'));
-  console.log(chalk.gray('  - ') + chalk.white('log:read') + chalk.gray(' permission (included in "author" role or higher)'));
-  console.log(chalk.gray('  - Reference: ') + chalk.white('https://www.aem.live/docs/authentication-setup-authoring'));
-  console.log(chalk.gray('\nIf your token lacks log:read permissions:'));
-  console.log(chalk.gray('  - You\'ll see 403 errors when fetching preview logs'));
-  console.log(chalk.gray('  - Use ') + chalk.white('--skip-user-enrichment') + chalk.gray(' flag to disable user enrichment'));
-  console.log(chalk.gray('  - Media entries will be created without user attribution\n'));
-
-  console.log(chalk.cyan('Then use your token:\n'));
-  console.log(chalk.white('  Method 1:') + chalk.gray(' Add to .env file'));
-  console.log(chalk.green('    ADMIN_TOKEN=your-token-here\n'));
-  console.log(chalk.white('  Method 2:') + chalk.gray(' Pass as command argument'));
-  console.log(chalk.green('    logmedia --org myorg --repo myrepo --token your-token-here\n'));
+  log(chalk.gray('5. Find your org/repo and copy the token below it\n'));
+  log(chalk.yellow('   Note: Sidekick tokens are org/repo specific!'));
+  log(chalk.gray('   Visit: ') + chalk.white('https://main--{repo}--{org}.aem.page/') + chalk.gray(' and use Sidekick first\n'));
+
+  log(chalk.cyan('Option 2: Create Admin API Key\n'));
+  log(chalk.yellow('   Note: You must have "admin" role to create API keys!\n'));
+  log(chalk.gray('1. Visit: ') + chalk.white('https://admin.hlx.page/login'));
+  log(chalk.gray('2. Sign in with your Adobe credentials'));
+  log(chalk.gray('3. Go to: ') + chalk.white('https://admin.hlx.page/config/{org}/sites/{site}/apiKeys.json'));
+  log(chalk.gray('4. POST to create new API key with these settings:'));
+  log(chalk.gray('   - Role: ') + chalk.white('admin'));
+  log(chalk.gray('   - Scopes: ') + chalk.white('log:read, log:write'));
+  log(chalk.gray('5. Copy the returned API key\n'));
+
+  log(chalk.cyan('Required Permissions:\n'));
+  log(chalk.gray('For user enrichment from preview logs, your token needs:'));
+  log(chalk.gray('  - ') + chalk.white('log:read') + chalk.gray(' permission (included in "author" role or higher)'));
+  log(chalk.gray('  - Reference: ') + chalk.white('https://www.aem.live/docs/authentication-setup-authoring'));
+  log(chalk.gray('\nIf your token lacks log:read permissions:'));
+  log(chalk.gray('  - You\'ll see 403 errors when fetching preview logs'));
+  log(chalk.gray('  - Use ') + chalk.white('--skip-user-enrichment') + chalk.gray(' flag to disable user enrichment'));
+  log(chalk.gray('  - Media entries will be created without user attribution\n'));
+
+  log(chalk.cyan('Then use your token:\n'));
+  log(chalk.white('  Method 1:') + chalk.gray(' Add to .env file'));
+  log(chalk.green('    ADMIN_TOKEN=your-token-here\n'));
+  log(chalk.white('  Method 2:') + chalk.gray(' Pass as command argument'));
+  log(chalk.green('    logmedia --org myorg --repo myrepo --token your-token-here\n'));
+}
+
+function warnTokenExpiry(validation, prefix = '') {
+  if (!validation.expiresAt) return;
+
+  const msLeft = validation.expiresAt - Date.now();
+  const daysLeft = Math.floor(msLeft / (1000 * 60 * 60 * 24));
+  const hoursLeft = Math.floor(msLeft / (1000 * 60 * 60));
+
+  if (daysLeft < 1) {
+    log(chalk.yellow(
+      `⚠️  ${prefix}Token expires in ${hoursLeft} hours (${validation.expiresAt.toLocaleString()})\n`,
+    ));
+  } else if (daysLeft < 7) {
+    log(chalk.yellow(
+      `⚠️  ${prefix}Token expires in ${daysLeft} days (${validation.expiresAt.toLocaleDateString()})\n`,
+    ));
+  }
 }
 
-async function runUserMappingTest(org, repo, ref, path, token, pollInterval, verbose) {
-  const spinner = ora();
+function resolveToken(options) {
+  // Get token from CLI arg or env var
+  const token = options.token || process.env.ADMIN_TOKEN;
+
+  if (!token) {
+    log(chalk.red('✗ No authentication token found\n'));
+    log(chalk.gray('  Run this command to see how to get a token:\n'));
+    log(chalk.cyan('    logmedia token\n'));
+    writeJsonResult({ status: 'error', exitCode: EXIT_CODES.AUTH_FAILURE, error: 'No authentication token found' });
+    process.exit(EXIT_CODES.AUTH_FAILURE);
+  }
+
+  // Validate token
+  const validation = validateToken(token);
+  if (!validation.valid) {
+    log(chalk.red(`✗ Invalid token: ${validation.error}\n`));
+    if (validation.expired) {
+      log(chalk.yellow('  Your token has expired. Please get a new one.\n'));
+    }
+    log(chalk.gray('  Run: ') + chalk.cyan('logmedia token\n'));
+    writeJsonResult({ status: 'error', exitCode: EXIT_CODES.AUTH_FAILURE, error: `Invalid token: ${validation.error}` });
+    process.exit(EXIT_CODES.AUTH_FAILURE);
+  }
+
+  warnTokenExpiry(validation);
+
+  return token;
+}
+
+// Resolves a config site's token, from its tokenEnv variable or the --token/ADMIN_TOKEN fallback
+function resolveSiteToken(site, options) {
+  const source = site.tokenEnv || 'ADMIN_TOKEN';
+  const token = site.tokenEnv
+    ? process.env[site.tokenEnv]
+    : options.token || process.env.ADMIN_TOKEN;
+
+  const error = (message) => Object.assign(new Error(message), { status: 401 });
+  if (!token) {
+    throw error(`No authentication token found (set ${source})`);
+  }
+
+  const validation = validateToken(token);
+  if (!validation.valid) {
+    throw error(`Invalid token in ${source}: ${validation.error}`);
+  }
+
+  warnTokenExpiry(validation, `${site.org}/${site.repo}: `);
+  return token;
+}
+
+// Bulk status jobs created by this process that have not finished yet (job URL -> token),
+// cancelled on Ctrl-C
+const inFlightJobs = new Map();
+
+/**
+ * Cancels a bulk status job if it is still in flight
+ * @param {string} jobUrl - Job URL
+ * @returns {Promise<boolean>} True if the job was cancelled
+ */
+async function cancelInFlightJob(jobUrl) {
+  if (!inFlightJobs.has(jobUrl)) return false;
 
+  const token = inFlightJobs.get(jobUrl);
+  inFlightJobs.delete(jobUrl);
   try {
-    console.log(chalk.blue.bold('\n=== User Mapping Test Mode ===\n'));
-    console.log(chalk.yellow('This will test user mapping by fetching preview logs only.\n'));
-    console.log(chalk.gray('Skipping: markdown parsing, media extraction, and medialog API calls\n'));
+    await cancelJob(jobUrl, token);
+    log(chalk.gray(`  Cancelled bulk status job ${jobUrl.split('/').pop()}`));
+    return true;
+  } catch (error) {
+    log(chalk.yellow(`  ⚠️  Could not cancel bulk status job: ${error.message}`));
+    return false;
+  }
+}
 
-    spinner.start('Creating bulk status job...');
-    const { jobId, jobUrl } = await createBulkStatusJob(org, repo, ref, path, token);
-    spinner.succeed(`Job created: ${chalk.cyan(jobId)}`);
+async function cancelInFlightJobs() {
+  await Promise.all([...inFlightJobs.keys()].map(cancelInFlightJob));
+}
+
+async function waitForJob(jobUrl, token, options, ownsJob) {
+  const { pollInterval, jobTimeout, verbose } = options;
+
+  if (ownsJob) {
+    inFlightJobs.set(jobUrl, token);
+  }
 
-    spinner.start('Polling job status...');
+  const spinner = createSpinner('Polling job status...').start();
+  try {
     await pollJobStatus(jobUrl, token, parseInt(pollInterval, 10), (progress) => {
       if (verbose) {
         spinner.text = `Processing: ${progress.processed}/${progress.total} pages`;
       }
-    });
-    spinner.succeed('Job completed');
+    }, parseInt(jobTimeout, 10));
+  } catch (error) {
+    spinner.fail('Job did not complete');
+    // Don't leave a timed-out job running on the server
+    await cancelInFlightJob(jobUrl);
+    throw error;
+  }
+
+  inFlightJobs.delete(jobUrl);
+  spinner.succeed('Job completed');
+}
+
+async function runUserMappingTest(options, token) {
+  const {
+    org, repo, ref, path, verbose, job,
+  } = options;
+  const spinner = createSpinner();
+  const startTime = Date.now();
+  let phase = 'discovery';
+  const buildResult = (status, exitCode, extra) => ({
+    status,
+    exitCode,
+    org,
+    repo,
+    ref,
+    ...extra,
+    timings: { total: Date.now() - startTime },
+  });
+  const onInterrupt = async () => {
+    spinner.stop();
+    await cancelInFlightJobs();
+    writeJsonResult(buildResult('interrupted', 130));
+    process.exit(130);
+  };
+  process.once('SIGINT', onInterrupt);
+
+  try {
+    log(chalk.blue.bold('\n=== User Mapping Test Mode ===\n'));
+    log(chalk.yellow('This will test user mapping by fetching preview logs only.\n'));
+    log(chalk.gray('Skipping: markdown parsing, media extraction, and medialog API calls\n'));
+
+    let jobUrl;
+    if (job) {
+      ({ jobUrl } = resolveJob(org, repo, ref, job));
+      log(chalk.gray(`Reusing bulk status job: ${job}\n`));
+    } else {
+      spinner.start('Creating bulk status job...');
+      const created = await createBulkStatusJob(org, repo, ref, path, token);
+      jobUrl = created.jobUrl;
+      spinner.succeed(`Job created: ${chalk.cyan(created.jobId)}`);
+    }
+
+    await waitForJob(jobUrl, token, options, !job);
 
     spinner.start('Fetching job details...');
     const resources = await getJobDetails(jobUrl, token);
@@ -100,354 +387,1129 @@ async function runUserMappingTest(org, repo, ref, path, token, pollInterval, ver
     const markdownCount = processableResources.filter((r) => !isMediaFile(r.path)).length;
     const mediaCount = processableResources.filter((r) => isMediaFile(r.path)).length;
 
-    console.log(chalk.gray(`\nFound ${markdownCount} markdown pages and ${mediaCount} standalone media files`));
+    log(chalk.gray(`\nFound ${markdownCount} markdown pages and ${mediaCount} standalone media files`));
 
+    phase = 'users';
     spinner.start('Building preview user map from logs...');
-    const { buildPreviewUserMap } = await import('./ingestor.js');
-    const userMap = await buildPreviewUserMap(org, repo, ref, token, verbose);
+    const userMap = await buildPreviewUserMap(org, repo, ref, token, {
+      strategy: options.userStrategy,
+      lookback: getLookback(options),
+    }, verbose);
     spinner.succeed(`Built user map with ${chalk.cyan(userMap.size)} path-to-user mappings`);
 
+    const fileMap = options.userMap ? await loadUserMap(options.userMap) : null;
+    const fileMapped = fileMap
+      ? processableResources.filter((r) => getMappedUser(fileMap, r.path)).length
+      : 0;
+
     // Display results
-    console.log(chalk.green.bold('\n📊 User Mapping Test Results\n'));
-    console.log(chalk.gray('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━'));
-    console.log(chalk.white(`Total resources discovered:     ${resources.length}`));
-    console.log(chalk.white(`Processable resources:          ${processableResources.length}`));
-    console.log(chalk.white(`  - Markdown pages:             ${markdownCount}`));
-    console.log(chalk.white(`  - Standalone media:           ${mediaCount}`));
-    console.log(chalk.cyan(`Paths with user mapping:        ${userMap.size}`));
+    log(chalk.green.bold('\n📊 User Mapping Test Results\n'));
+    log(chalk.gray('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━'));
+    log(chalk.white(`Total resources discovered:     ${resources.length}`));
+    log(chalk.white(`Processable resources:          ${processableResources.length}`));
+    log(chalk.white(`  - Markdown pages:             ${markdownCount}`));
+    log(chalk.white(`  - Standalone media:           ${mediaCount}`));
+    log(chalk.cyan(`Paths with user mapping:        ${userMap.size}`));
+    if (fileMap) {
+      log(chalk.cyan(`Resources in --user-map file:   ${fileMapped}`));
+    }
 
     const coveragePercent = processableResources.length > 0
       ? ((userMap.size / markdownCount) * 100).toFixed(1)
       : 0;
-    console.log(chalk.cyan(`Coverage for markdown pages:    ${coveragePercent}%`));
-    console.log(chalk.gray('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n'));
+    log(chalk.cyan(`Coverage for markdown pages:    ${coveragePercent}%`));
+    log(chalk.gray('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n'));
 
     // Show sample mappings
     if (userMap.size > 0) {
-      console.log(chalk.blue.bold('Sample Path → User Mappings:\n'));
+      log(chalk.blue.bold('Sample Path → User Mappings:\n'));
       const samples = Array.from(userMap.entries()).slice(0, 10);
       samples.forEach(([pagePath, user]) => {
-        console.log(chalk.gray(`  ${pagePath}`));
-        console.log(chalk.green(`    → ${user}\n`));
+        log(chalk.gray(`  ${pagePath}`));
+        log(chalk.green(`    → ${user}\n`));
       });
 
       if (userMap.size > 10) {
-        console.log(chalk.gray(`  ... and ${userMap.size - 10} more mappings\n`));
+        log(chalk.gray(`  ... and ${userMap.size - 10} more mappings\n`));
       }
     } else {
-      console.log(chalk.yellow('⚠️  No user mappings found in preview logs\n'));
-      console.log(chalk.gray('This could mean:'));
-      console.log(chalk.gray('  - No pages have been previewed in the last 30 days'));
-      console.log(chalk.gray('  - Preview logs don\'t contain user information'));
-      console.log(chalk.gray('  - The token lacks log:read permissions (403 error)'));
-      console.log(chalk.gray('  - The token is for a different org/repo\n'));
-
-      console.log(chalk.cyan('💡 Required Permissions:'));
-      console.log(chalk.gray('  - Token needs ') + chalk.white('log:read') + chalk.gray(' permission'));
-      console.log(chalk.gray('  - Part of "author" role or higher in AEM'));
-      console.log(chalk.gray('  - Reference: ') + chalk.white('https://www.aem.live/docs/authentication-setup-authoring'));
-      console.log(chalk.gray('\n  If your token lacks permissions:'));
-      console.log(chalk.gray('  - Use ') + chalk.white('--skip-user-enrichment') + chalk.gray(' during ingestion'));
-      console.log(chalk.gray('  - Verify the token is for the correct org/repo'));
-      console.log(chalk.gray('  - Sidekick tokens are org/repo specific\n'));
-    }
-
-    console.log(chalk.green('✓ User mapping test completed\n'));
-    process.exit(0);
+      log(chalk.yellow('⚠️  No user mappings found in preview logs\n'));
+      log(chalk.gray('This could mean:'));
+      log(chalk.gray('  - No pages have been previewed in the last 30 days'));
+      log(chalk.gray('  - Preview logs don\'t contain user information'));
+      log(chalk.gray('  - The token lacks log:read permissions (403 error)'));
+      log(chalk.gray('  - The token is for a different org/repo\n'));
+
+      log(chalk.cyan('💡 Required Permissions:'));
+      log(chalk.gray('  - Token needs ') + chalk.white('log:read') + chalk.gray(' permission'));
+      log(chalk.gray('  - Part of "author" role or higher in AEM'));
+      log(chalk.gray('  - Reference: ') + chalk.white('https://www.aem.live/docs/authentication-setup-authoring'));
+      log(chalk.gray('\n  If your token lacks permissions:'));
+      log(chalk.gray('  - Use ') + chalk.white('--skip-user-enrichment') + chalk.gray(' during ingestion'));
+      log(chalk.gray('  - Verify the token is for the correct org/repo'));
+      log(chalk.gray('  - Sidekick tokens are org/repo specific\n'));
+    }
+
+    log(chalk.green('✓ User mapping test completed\n'));
+    writeJsonResult(buildResult('success', EXIT_CODES.SUCCESS, {
+      userMapping: {
+        resourcesDiscovered: resources.length,
+        markdownPages: markdownCount,
+        standaloneMedia: mediaCount,
+        pathsWithUsers: userMap.size,
+        ...(fileMap && { resourcesInUserMap: fileMapped }),
+      },
+    }));
+    process.exitCode = EXIT_CODES.SUCCESS;
   } catch (error) {
     spinner.fail('Error');
     console.error(chalk.red(`\n✗ ${error.message}\n`));
-    process.exit(1);
+    const exitCode = getExitCode(error, phase);
+    writeJsonResult(buildResult('error', exitCode, { error: error.message }));
+    process.exitCode = exitCode;
+  } finally {
+    process.removeListener('SIGINT', onInterrupt);
   }
 }
 
-async function runIngest(options) {
-  const spinner = ora();
+function toTime(value) {
+  const time = value ? new Date(value).getTime() : NaN;
+  return Number.isNaN(time) ? null : time;
+}
 
-  try {
-    console.log(chalk.blue.bold('\n=== Media Log Ingestor ===\n'));
+// Original time of a resource's entries for --timestamps, and the source that supplied it
+function getOriginalTimestamp(resource, previewEvents, options) {
+  const { timestamps, partition, source } = options;
 
-    // Get token from CLI arg or env var
-    const token = options.token || process.env.ADMIN_TOKEN;
+  // Events are newest first: the latest preview is the one that put the current content there
+  const event = timestamps === 'preview-log'
+    && previewEvents?.get(resource.path)?.find((e) => toTime(e.timestamp) !== null);
+  if (event) {
+    return { timestamp: toTime(event.timestamp), source: 'preview-log' };
+  }
+
+  const modified = getResourceTimestamp(resource, partition)?.getTime()
+    ?? toTime(resource.sourceLastModified || resource.lastModified);
+  if (modified !== null) {
+    // --source resources carry the file's modification time
+    return { timestamp: modified, source: source ? 'file' : 'job' };
+  }
+  return { timestamp: null, source: 'none' };
+}
+
+// Warns about an entry the media log schema would reject. The API would fail its whole batch,
+// so the entry is left out instead.
+function isInvalidEntry(entry) {
+  const problems = validateMediaLogEntry(entry);
+  if (problems.length === 0) return false;
+  const source = entry.resourcePath ? ` (${entry.resourcePath})` : '';
+  log(chalk.yellow(`⚠️  Not sending ${entry.path}${source}: ${problems.join(', ')}`));
+  return true;
+}
+
+// Reads one resource and extracts its media entries
+async function parseResource(resource, context) {
+  const {
+    org, repo, ref, token, partition, source, sheetColumns, verbose, stats,
+  } = context;
+
+  if (isMediaFile(resource.path)) {
+    // Standalone media have no source page, so no contentSourcePath
+    const entry = {
+      owner: org,
+      repo,
+      operation: 'ingest',
+      path: getPageUrl(org, repo, ref, resource.path),
+      contentSourceType: 'markup',
+    };
 
-    if (!token) {
-      console.log(chalk.red('✗ No authentication token found\n'));
-      console.log(chalk.gray('  Run this command to see how to get a token:\n'));
-      console.log(chalk.cyan('    logmedia token\n'));
-      process.exit(1);
+    // Add content type if we can determine it
+    const contentType = getContentType(resource.path);
+    if (contentType) {
+      entry.contentType = contentType;
     }
 
-    // Validate token
-    const validation = validateToken(token);
-    if (!validation.valid) {
-      console.log(chalk.red(`✗ Invalid token: ${validation.error}\n`));
-      if (validation.expired) {
-        console.log(chalk.yellow('  Your token has expired. Please get a new one.\n'));
-      }
-      console.log(chalk.gray('  Run: ') + chalk.cyan('logmedia token\n'));
-      process.exit(1);
+    // Extract width and height from URL fragment if present
+    const dimensions = extractDimensions(resource.path);
+    if (dimensions) {
+      entry.width = dimensions.width;
+      entry.height = dimensions.height;
     }
 
-    // Show token info
-    if (validation.expiresAt) {
-      const msLeft = validation.expiresAt - Date.now();
-      const daysLeft = Math.floor(msLeft / (1000 * 60 * 60 * 24));
-      const hoursLeft = Math.floor(msLeft / (1000 * 60 * 60));
+    // Don't add user here - will be enriched later
+    stats.standaloneMediaFound += 1;
 
-      if (daysLeft < 1) {
-        console.log(chalk.yellow(
-          `⚠️  Token expires in ${hoursLeft} hours (${validation.expiresAt.toLocaleString()})\n`,
-        ));
-      } else if (daysLeft < 7) {
-        console.log(chalk.yellow(
-          `⚠️  Token expires in ${daysLeft} days (${validation.expiresAt.toLocaleDateString()})\n`,
-        ));
-      }
+    if (verbose) {
+      log(chalk.gray(`  ${resource.path}: standalone media`));
     }
-    const {
-      org, repo, ref, path, user, dryRun, verify, skipUserEnrichment,
-      concurrency, batchSize, pollInterval, verbose, userMapping,
-    } = options;
+    return [entry];
+  }
 
-    // User mapping test mode - skip parsing/sending, just test user mapping
-    if (userMapping) {
-      await runUserMappingTest(org, repo, ref, path, token, pollInterval, verbose);
-      return;
+  if (isSheetResource(resource.path)) {
+    const sheet = source
+      ? await readLocalSheet(source, resource.path)
+      : await fetchSheet(org, repo, ref, resource.path, token, partition);
+    const entries = extractSheetMediaReferences(
+      sheet,
+      resource.path,
+      { org, repo, ref },
+      parseListOption(sheetColumns),
+    );
+
+    stats.sheetsProcessed += 1;
+    stats.mediaFromSheets += entries.length;
+
+    if (verbose && entries.length > 0) {
+      log(chalk.gray(`  ${resource.path}: ${entries.length} media from sheet`));
     }
+    return entries;
+  }
 
-    const stats = {
-      pagesDiscovered: 0,
-      markdownPagesProcessed: 0,
-      standaloneMediaFound: 0,
-      mediaFromMarkdown: 0,
-      totalMediaFound: 0,
-      batchesSent: 0,
-      errors: 0,
-    };
+  const markdown = source
+    ? await readLocalMarkdown(source, resource.path)
+    : await fetchMarkdown(org, repo, ref, resource.path, token, partition);
+  const entries = extractMediaReferences(markdown, resource.path, { org, repo, ref });
 
-    if (dryRun) {
-      console.log(chalk.yellow('*** DRY RUN MODE - No data will be sent ***\n'));
+  stats.markdownPagesProcessed += 1;
+  stats.mediaFromMarkdown += entries.length;
+
+  if (verbose && entries.length > 0) {
+    log(chalk.gray(`  ${resource.path}: ${entries.length} media from markdown`));
+    entries.forEach((entry) => {
+      log(chalk.gray(`    - ${entry.path}`));
+    });
+  }
+  return entries;
+}
+
+/**
+ * Fetches and parses resources in parallel, handing each one's media entries to onParsed
+ * in the order of the resources list, whatever order the fetches finish in
+ * A resource's fetch slot stays taken until onParsed has returned, so a slow consumer
+ * (e.g. a full send queue) also slows down fetching.
+ * @param {Array} resources - Bulk status resources to process
+ * @param {Object} context - Run options plus token, stats and spinner; isStopped() ends the
+ *   run early, and completeEntry(entry), if set, completes each entry before it is handed over
+ * @param {Function} onParsed - Async callback (resource, entries), called for each resource
+ *   that could be read
+ */
+async function parseResources(resources, context, onParsed) {
+  const {
+    concurrency, verbose, stats, spinner, failedResources = [], isStopped = () => false,
+    completeEntry,
+  } = context;
+
+  const queue = new PQueue({ concurrency: parseInt(concurrency, 10) });
+
+  // Results wait here until every resource before them has been handed over
+  const parsed = new Map();
+  let nextIndex = 0;
+  let releasing = Promise.resolve();
+
+  const release = async () => {
+    while (parsed.has(nextIndex) && !isStopped()) {
+      const { resource, entries } = parsed.get(nextIndex);
+      parsed.delete(nextIndex);
+      nextIndex += 1;
+      // Failed resources only hold their place in the order
+      if (entries) {
+        await onParsed(resource, entries);
+      }
     }
+  };
 
-    spinner.start('Creating bulk status job...');
-    const { jobId, jobUrl } = await createBulkStatusJob(org, repo, ref, path, token);
-    spinner.succeed(`Job created: ${chalk.cyan(jobId)}`);
+  spinner.start('Fetching and parsing markdown files...');
 
-    spinner.start('Polling job status...');
-    await pollJobStatus(jobUrl, token, parseInt(pollInterval, 10), (progress) => {
-      if (verbose) {
-        spinner.text = `Processing: ${progress.processed}/${progress.total} pages`;
+  await queue.addAll(
+    resources.map((resource, index) => async () => {
+      if (isStopped()) return;
+
+      let entries = null;
+      try {
+        entries = await parseResource(resource, context);
+        if (completeEntry) {
+          entries = await Promise.all(entries.map(completeEntry));
+        }
+      } catch (error) {
+        stats.errors += 1;
+        failedResources.push({ path: resource.path, error: error.message });
+        if (verbose) {
+          console.error(chalk.red(`  ✗ ${resource.path}: ${error.message}`));
+        }
       }
-    });
-    spinner.succeed('Job completed');
 
-    spinner.start('Fetching job details...');
-    const resources = await getJobDetails(jobUrl, token);
-    stats.pagesDiscovered = resources.length;
-    spinner.succeed(`Discovered ${chalk.cyan(resources.length)} resources`);
+      parsed.set(index, { resource, entries });
+      releasing = releasing.then(release);
+      await releasing;
+    }),
+  );
 
-    const processableResources = resources.filter(shouldProcessResource);
-    const markdownCount = processableResources.filter((r) => !isMediaFile(r.path)).length;
-    const mediaCount = processableResources.filter((r) => isMediaFile(r.path)).length;
-    console.log(chalk.gray(`Processing ${markdownCount} markdown pages and ${mediaCount} standalone media files...\n`));
+  spinner.succeed(
+    `Parsed ${stats.markdownPagesProcessed} markdown pages, found ${stats.standaloneMediaFound} standalone media`,
+  );
+}
 
-    const queue = new PQueue({ concurrency: parseInt(concurrency, 10) });
-    const allEntries = [];
+/**
+ * Runs the whole ingestion for one site
+ * @param {Object} options - Ingest options for the site
+ * @param {string} token - Auth token for the site
+ * @returns {Promise<Object>} Run result (status, exit code, stats, failures and timings)
+ */
+async function ingestSite(options, token) {
+  const spinner = createSpinner();
+  const startTime = Date.now();
+  const timings = {};
+  const failedResources = [];
+  const failedBatches = [];
+  // Which step a fatal error happened in, to pick the exit code
+  let phase = 'setup';
+  let stats = null;
+  let onInterrupt = null;
+
+  const buildResult = (status, exitCode, error) => ({
+    status,
+    exitCode,
+    org: options.org,
+    repo: options.repo,
+    ref: options.ref,
+    partition: options.partition,
+    dryRun: options.dryRun,
+    stats,
+    failedResources,
+    failedBatches,
+    timings: { ...timings, total: Date.now() - startTime },
+    ...(error && { error: error.message }),
+  });
 
-    spinner.start('Fetching and parsing markdown files...');
+  // Any failed resource or batch is a partial failure (auth failures stop the run instead)
+  const finish = () => {
+    if (stats.errors > 0 || stats.invalidEntries > 0) {
+      return buildResult('partial', EXIT_CODES.PARTIAL_FAILURE);
+    }
+    return buildResult('success', EXIT_CODES.SUCCESS);
+  };
 
-    await queue.addAll(
-      processableResources.map((resource) => async () => {
-        try {
-          if (isMediaFile(resource.path)) {
-            const entry = {
-              owner: org,
-              repo,
-              operation: 'ingest',
-              path: resource.path,
-              contentSourceType: 'markup',
-            };
-
-            // Add content type if we can determine it
-            const contentType = getContentType(resource.path);
-            if (contentType) {
-              entry.contentType = contentType;
-            }
+  try {
+    const {
+      org, repo, ref, path, dryRun, verify, batchSize, verbose,
+      resume, checkpoint: checkpointFile, job, sheets, since, sinceLastRun, partition,
+      output, outputFormat, config, source, sendConcurrency, rateLimit,
+      user, skipUserEnrichment, skipExisting, existingSince, reconcile, timestamps, userStrategy,
+      userMap: userMapFile, userPriority, probeMedia: probeEnabled, probeCache: probeCacheFile,
+      contentDedup,
+    } = options;
+    const sheetPatterns = parseListOption(sheets);
+    const lookback = getLookback(options);
+    const priority = parseUserPriority(userPriority);
+    const userMap = userMapFile ? await loadUserMap(userMapFile) : null;
+    const probeCache = probeEnabled ? await loadProbeCache(probeCacheFile) : null;
+
+    let checkpoint = null;
+    if (resume) {
+      checkpoint = await loadCheckpoint(checkpointFile);
+      if (!checkpoint) {
+        throw new Error(`No checkpoint found at ${checkpointFile}`);
+      }
+      if (checkpoint.org !== org || checkpoint.repo !== repo || checkpoint.ref !== ref
+        || (checkpoint.partition || 'preview') !== partition) {
+        throw new Error(
+          `Checkpoint ${checkpointFile} belongs to ${checkpoint.org}/${checkpoint.repo}/${checkpoint.ref} (${checkpoint.partition || 'preview'})`,
+        );
+      }
+      if ((checkpoint.source || null) !== (source || null)) {
+        throw new Error(
+          `Checkpoint ${checkpointFile} was read from ${checkpoint.source ? `--source ${checkpoint.source}` : 'the Admin API'}`,
+        );
+      }
+      log(chalk.cyan(
+        `↻ Resuming from checkpoint (${checkpoint.phase}, saved ${checkpoint.updatedAt})\n`,
+      ));
+    } else {
+      checkpoint = createCheckpoint(
+        {
+          org, repo, ref, path, partition, source,
+        },
+        Math.min(parseInt(batchSize, 10), 10),
+        {
+          pagesDiscovered: 0,
+          markdownPagesProcessed: 0,
+          standaloneMediaFound: 0,
+          mediaFromMarkdown: 0,
+          totalMediaFound: 0,
+          mediaIngested: 0,
+          mediaReused: 0,
+          batchesSent: 0,
+          errors: 0,
+          invalidEntries: 0,
+          ...(sheets && { sheetsProcessed: 0, mediaFromSheets: 0 }),
+          ...(skipExisting && { alreadyPresent: 0, newEntries: 0 }),
+          ...(timestamps && Object.fromEntries(
+            Object.values(TIMESTAMP_COUNTERS).map((counter) => [counter, 0]),
+          )),
+          ...(probeEnabled && {
+            mediaProbed: 0,
+            probeCacheHits: 0,
+            probeFailures: 0,
+            dimensionsProbed: 0,
+            contentTypesCorrected: 0,
+          }),
+          ...(contentDedup && { mediaDigested: 0, digestFailures: 0, duplicateGroups: 0 }),
+        },
+      );
+    }
 
-            // Extract width and height from URL fragment if present
-            const dimensions = extractDimensions(resource.path);
-            if (dimensions) {
-              entry.width = dimensions.width;
-              entry.height = dimensions.height;
-            }
+    ({ stats } = checkpoint);
 
-            // Don't add user here - will be enriched later
-            allEntries.push(entry);
-            stats.standaloneMediaFound += 1;
+    let sinceDate = null;
+    if (since) {
+      sinceDate = parseSince(since);
+    } else if (sinceLastRun) {
+      sinceDate = await getLastRun({
+        org, repo, ref, path, partition,
+      });
+      if (!sinceDate) {
+        log(chalk.yellow('⚠️  No previous successful run recorded, processing everything\n'));
+      }
+    }
+    if (sinceDate) {
+      log(chalk.cyan(
+        `Incremental mode: only resources modified in ${partition} since ${sinceDate.toISOString()}\n`,
+      ));
+    }
 
-            if (verbose) {
-              console.log(chalk.gray(`  ${resource.path}: standalone media`));
-            }
-          } else {
-            const markdown = await fetchMarkdown(org, repo, ref, resource.path, token);
-            const entries = extractMediaReferences(markdown, resource.path, org, repo);
+    const processedPaths = new Set(checkpoint.processedPaths);
+    // Media identities of the resources in processedPaths. Dedup also sees the media of
+    // resources whose batches are still in flight, but --resume parses those again and
+    // rebuilds their batches in the same order.
+    const committedMedia = new Set(checkpoint.seenMedia);
+    checkpoint.sentBatches = checkpoint.sentBatches || {};
+    const currentKeys = new Set(checkpoint.currentKeys);
+    checkpoint.pagesWithoutMedia = checkpoint.pagesWithoutMedia || [];
+    checkpoint.inventory = checkpoint.inventory || [];
+    // --resume parses unfinished resources again, so their counts are not saved
+    const committedStats = Object.fromEntries(
+      RESOURCE_COUNTERS.filter((key) => key in stats).map((key) => [key, stats[key]]),
+    );
+
+    // Dry runs send nothing, so there is nothing to resume
+    const persist = () => {
+      if (dryRun) return Promise.resolve();
+      return saveCheckpoint({
+        ...checkpoint,
+        stats: { ...stats, ...committedStats },
+        processedPaths: [...processedPaths],
+        seenMedia: [...committedMedia],
+        currentKeys: [...currentKeys],
+      }, checkpointFile);
+    };
+
+    // Batches go out in parallel, paced by the shared Admin API rate limiter
+    const sendQueue = new PQueue({ concurrency: parseInt(sendConcurrency, 10) });
+    const handledBatches = new Set();
+    let batchesQueued = 0;
+    let sendingStart = null;
+    // An auth failure (or an unexpected error while sending) stops parsing and sending
+    let fatalError = null;
+    let interrupted = false;
+    // Batches --resume rebuilt that were sent before the checkpoint
+    let batchesSkipped = 0;
+    let timestampsRejected = false;
+
+    onInterrupt = async () => {
+      spinner.stop();
+      log(chalk.yellow(config ? `\n\n⚠️  Interrupted ${org}/${repo}/${ref}` : '\n\n⚠️  Interrupted'));
+      // Batches not started yet are dropped; the checkpoint waits for those being sent
+      interrupted = true;
+      sendQueue.clear();
+      if (sendQueue.pending > 0) {
+        log(chalk.gray(`  Waiting for ${sendQueue.pending} batches being sent...`));
+        await sendQueue.onIdle();
+      }
+      if (await cancelInFlightJob(checkpoint.jobUrl)) {
+        checkpoint.jobId = null;
+        checkpoint.jobUrl = null;
+      }
+      if (!dryRun) {
+        await persist();
+        log(chalk.gray(`  Checkpoint saved to ${checkpointFile}`));
+      }
+      log(generateReport(stats));
+      if (!dryRun && config) {
+        log(chalk.gray('  Resume this site with the same options, without --config, plus ')
+          + chalk.cyan(`--org ${org} --repo ${repo} --ref ${ref} --path "${path}" --checkpoint ${checkpointFile} --resume\n`));
+      } else if (!dryRun) {
+        log(chalk.gray('  Resume with the same options plus ') + chalk.cyan('--resume\n'));
+      }
+      return buildResult('interrupted', 130);
+    };
+    siteInterruptHandlers.add(onInterrupt);
+
+    if (dryRun) {
+      log(chalk.yellow('*** DRY RUN MODE - No data will be sent ***\n'));
+    }
+
+    if (partition !== 'preview') {
+      log(chalk.cyan(`Reading content from the ${partition} partition\n`));
+    }
 
-            stats.markdownPagesProcessed += 1;
+    // Once the media log API has refused timestamps, every batch goes out without them
+    const sendEntries = async (batch) => {
+      const withoutTimestamps = () => {
+        stats.timestampsDropped = (stats.timestampsDropped || 0)
+          + batch.filter((entry) => entry.timestamp !== undefined).length;
+        return batch.map(({ timestamp: _, ...entry }) => entry);
+      };
 
-            if (entries.length > 0) {
-              allEntries.push(...entries);
-              stats.mediaFromMarkdown += entries.length;
+      if (!timestampsRejected) {
+        try {
+          return await sendMediaLogBatch(org, repo, ref, batch, token, dryRun);
+        } catch (error) {
+          if (error.code !== 'TIMESTAMP_REJECTED') throw error;
+          if (!timestampsRejected) {
+            timestampsRejected = true;
+            log(chalk.yellow(
+              `\n⚠️  The media log API does not accept timestamps (${error.message}), sending entries without them`,
+            ));
+          }
+        }
+      }
+      return sendMediaLogBatch(org, repo, ref, withoutTimestamps(), token, dryRun);
+    };
 
-              if (verbose) {
-                console.log(chalk.gray(`  ${resource.path}: ${entries.length} media from markdown`));
-                entries.forEach((entry) => {
-                  console.log(chalk.gray(`    - ${entry.path}`));
-                });
-              }
+    // Sends a batch in the background, unless it was sent before the checkpoint. lastBatchSent
+    // only advances past batches whose predecessors are all handled; the ones handled out of
+    // order are in sentBatches. onHandled runs after each batch.
+    const sendBatch = (batch, index, onHandled) => {
+      batchesQueued += 1;
+      const fingerprint = getBatchFingerprint(batch);
+      sendQueue.add(async () => {
+        if (fatalError || interrupted) return;
+        try {
+          if (checkpoint.sentBatches[index] === fingerprint) {
+            batchesSkipped += 1;
+          } else {
+            if (checkpoint.sentBatches[index] && verbose) {
+              log(chalk.yellow(`\n  Batch ${index + 1} changed since the checkpoint, sending it again`));
             }
+            await sendEntries(batch);
+            stats.batchesSent += 1;
+          }
+
+          if (verbose) {
+            spinner.text = `Sent batch ${index + 1}`;
           }
         } catch (error) {
+          // Every later batch would be rejected too: stop, and leave this batch to --resume
+          if (error.code === 'AUTH_FAILURE') {
+            fatalError = fatalError || error;
+            return;
+          }
+
           stats.errors += 1;
+          failedBatches.push({
+            index: index + 1, size: batch.length, status: error.status, error: error.message,
+          });
+          await saveFailedBatch(batch, error, { org, repo, ref });
           if (verbose) {
-            console.error(chalk.red(`  ✗ ${resource.path}: ${error.message}`));
+            console.error(chalk.red(`\n  ✗ Batch ${index + 1} failed: ${error.message}`));
           }
         }
-      }),
-    );
 
-    spinner.succeed(
-      `Parsed ${stats.markdownPagesProcessed} markdown pages, found ${stats.standaloneMediaFound} standalone media`,
-    );
-    stats.totalMediaFound = allEntries.length;
+        // Failed batches count as handled: they are in failed-entries.json for `logmedia retry`
+        checkpoint.sentBatches[index] = fingerprint;
+        handledBatches.add(index);
+        while (handledBatches.has(checkpoint.lastBatchSent + 1)) {
+          checkpoint.lastBatchSent += 1;
+          handledBatches.delete(checkpoint.lastBatchSent);
+        }
+        await onHandled();
+      }).catch((error) => {
+        fatalError = fatalError || error;
+      });
+    };
 
-    if (allEntries.length === 0) {
-      console.log(chalk.yellow('\n⚠️  No media found'));
-      return;
-    }
+    // Waits for the batches in flight, then saves what was handled and rethrows a fatal error
+    const drainSendQueue = async (progress) => {
+      await sendQueue.onIdle();
+      failedBatches.sort((a, b) => a.index - b.index);
+      if (!fatalError) return;
 
-    console.log(chalk.green(
-      `\n✓ Total media: ${allEntries.length} (${stats.standaloneMediaFound} standalone + ${stats.mediaFromMarkdown} from markdown)`,
-    ));
+      spinner.stop();
+      await persist();
+      if (fatalError.code === 'AUTH_FAILURE') {
+        log(chalk.gray(`\n  ${progress}. Fix the token, then run again with --resume`));
+      }
+      throw fatalError;
+    };
 
-    // Apply deduplication: first occurrence is "ingest", subsequent are "reuse"
-    spinner.start('Applying deduplication logic...');
-    const seenHashes = new Set();
-    let ingestCount = 0;
-    let reuseCount = 0;
+    if (checkpoint.phase === 'parsing') {
+      // Lookups every entry is checked against; they run while the bulk status job does
+      const enrichUsers = Boolean((!dryRun || output) && !skipUserEnrichment && (token || userMap));
+      const readPreviewLog = Boolean(token)
+        && ((enrichUsers && priority.includes('preview')) || timestamps === 'preview-log');
+      const previewLookup = readPreviewLog
+        ? fetchPreviewEvents(org, repo, ref, token, lookback, verbose)
+        : Promise.resolve(null);
+      // Incremental runs only see the changed pages, so what was logged before tells them which
+      // media already had their "ingest"
+      const readMediaLog = Boolean(skipExisting || reconcile || sinceDate);
+      const logLookup = readMediaLog
+        ? fetchMediaLogEntries(org, repo, ref, token, existingSince, verbose)
+        : Promise.resolve([]);
+      // Awaited after discovery, whose errors come first
+      logLookup.catch(() => {});
+
+      const discoveryStart = Date.now();
+      phase = 'discovery';
+
+      let resources;
+      if (source) {
+        spinner.start(`Reading content from ${source}...`);
+        resources = await listLocalResources(source, path);
+        spinner.succeed(`Found ${chalk.cyan(resources.length)} resources in ${source}`);
+      } else {
+        const ownsJob = !job;
+        if (checkpoint.jobUrl) {
+          log(chalk.gray(`Reusing bulk status job: ${checkpoint.jobId}\n`));
+        } else if (job) {
+          Object.assign(checkpoint, resolveJob(org, repo, ref, job));
+          await persist();
+          log(chalk.gray(`Reusing bulk status job: ${checkpoint.jobId}\n`));
+        } else {
+          spinner.start('Creating bulk status job...');
+          const { jobId, jobUrl } = await createBulkStatusJob(
+            org,
+            repo,
+            ref,
+            path,
+            token,
+            partition,
+          );
+          checkpoint.jobId = jobId;
+          checkpoint.jobUrl = jobUrl;
+          await persist();
+          spinner.succeed(`Job created: ${chalk.cyan(jobId)}`);
+        }
 
-    const deduplicatedEntries = allEntries.map((entry) => {
-      const hash = extractMediaHash(entry.path);
-      let operation = 'ingest';
+        const { jobUrl } = checkpoint;
 
-      if (hash) {
-        if (seenHashes.has(hash)) {
-          operation = 'reuse';
-          reuseCount += 1;
-        } else {
-          seenHashes.add(hash);
-          operation = 'ingest';
-          ingestCount += 1;
+        try {
+          await waitForJob(jobUrl, token, options, ownsJob);
+        } catch (error) {
+          // A stopped, cancelled or timed-out job is useless to --resume, so start fresh next time
+          if (ownsJob) {
+            checkpoint.jobId = null;
+            checkpoint.jobUrl = null;
+            await persist();
+          }
+          throw error;
         }
-      } else {
-        // No hash found (shouldn't happen for media URLs, but keep as ingest)
-        operation = 'ingest';
-        ingestCount += 1;
+
+        spinner.start('Fetching job details...');
+        resources = await getJobDetails(jobUrl, token);
+        spinner.succeed(`Discovered ${chalk.cyan(resources.length)} resources`);
+      }
+      stats.pagesDiscovered = resources.length;
+      timings.discovery = Date.now() - discoveryStart;
+      phase = 'parsing';
+      const parsingStart = Date.now();
+
+      let changedResources = resources;
+      if (sinceDate) {
+        changedResources = filterResourcesSince(resources, sinceDate, partition);
+        stats.unchangedSkipped = resources.length - changedResources.length;
+        log(chalk.gray(
+          `Skipping ${stats.unchangedSkipped} resources unchanged in ${partition} since ${sinceDate.toISOString()}`,
+        ));
       }
 
-      return { ...entry, operation };
-    });
+      // Page history order, so the same page gets "ingest" for a media hash on every run
+      const processableResources = sortResourcesByHistory(changedResources)
+        .filter((r) => shouldProcessResource(r) || (sheets && shouldProcessSheet(r, sheetPatterns)))
+        .filter((r) => !processedPaths.has(r.path));
+      const sheetCount = processableResources.filter((r) => isSheetResource(r.path)).length;
+      const mediaCount = processableResources.filter((r) => isMediaFile(r.path)).length;
+      const markdownCount = processableResources.length - sheetCount - mediaCount;
+      if (processedPaths.size > 0) {
+        log(chalk.gray(`Skipping ${processedPaths.size} resources processed before the checkpoint`));
+      }
+      log(chalk.gray(`Processing ${markdownCount} markdown pages and ${mediaCount} standalone media files...\n`));
+      if (sheets) {
+        log(chalk.gray(`Scanning ${sheetCount} sheets for media...\n`));
+      }
 
-    spinner.succeed(
-      `Deduplication complete: ${ingestCount} unique media (ingest), ${reuseCount} reuses`,
-    );
+      // A page can only be reconciled if this run read it, or if a full scan no longer finds it
+      const discoveredPaths = new Set(resources.map((r) => r.path));
+      const isInScope = (sourcePath) => processedPaths.has(sourcePath)
+        || (!sinceDate && !discoveredPaths.has(sourcePath) && matchesPathPattern(sourcePath, path));
+
+      let logEntries = [];
+      if (readMediaLog) {
+        spinner.start('Reading existing media log entries...');
+        // Older entries hold media URLs relative to their page, new ones are absolute
+        const site = { org, repo, ref };
+        // A resumed run leaves out what it sent itself, so it decides as it did before
+        const startedAt = resume ? new Date(checkpoint.startedAt).getTime() : Infinity;
+        logEntries = (await logLookup)
+          .filter((entry) => !(new Date(entry.timestamp).getTime() >= startedAt))
+          .map((entry) => resolveLoggedEntry(entry, site));
+        spinner.succeed(`Read ${logEntries.length} media log entries`);
+      }
+      const existingIndex = skipExisting ? buildMediaLogIndex(logEntries) : null;
+      const loggedMedia = sinceDate
+        ? [...getLoggedMediaState(logEntries).values()].map((entry) => getMediaIdentity(entry.path))
+        : [];
+      if (sinceDate) {
+        log(chalk.gray(`${new Set(loggedMedia).size} media already in the media log are logged as "reuse"`));
+      }
 
-    if (verbose && reuseCount > 0) {
-      console.log(chalk.gray(`  Found ${seenHashes.size} unique media hashes`));
-      console.log(chalk.gray(`  ${reuseCount} entries marked as "reuse"`));
-    }
+      let previewEvents = null;
+      if (readPreviewLog) {
+        spinner.start('Reading preview logs...');
+        previewEvents = await previewLookup;
+        spinner.succeed(`Found preview events for ${previewEvents.size} paths`);
+      }
+      if (userMap && enrichUsers) {
+        const mappings = userMap.exact.size + userMap.patterns.length;
+        log(chalk.gray(`Loaded ${mappings} user mappings from ${userMapFile} (priority: ${priority.join(', ')})`));
+      }
+      if (enrichUsers && previewEvents) {
+        const withPreviewUser = getPreviewUsers(previewEvents, userStrategy).size;
+        log(chalk.gray(`Attributing users with the "${userStrategy}" strategy (${withPreviewUser} paths have a previewer)`));
+      } else if (skipUserEnrichment) {
+        log(chalk.gray(
+          '\n⏭️  Skipping user enrichment (--skip-user-enrichment flag set)\n',
+        ));
+      }
 
-    // Replace allEntries with deduplicated entries
-    allEntries.length = 0;
-    allEntries.push(...deduplicatedEntries);
+      const userSources = {
+        map: 0, preview: 0, fallback: 0, none: 0,
+      };
+      const withUser = (entry, appearedAt = null) => {
+        if (!enrichUsers) return entry;
+        const enriched = enrichEntryWithUser(entry, previewEvents, {
+          strategy: userStrategy, fallbackUser: user, appearedAt, userMap, priority,
+        });
+        userSources[enriched.source] += 1;
+        return enriched.entry;
+      };
+
+      // --probe-media: each media on the preview host is looked up once, whichever pages use it
+      const probeOrigin = getSiteOrigin(org, repo, ref);
+      const mediaQueue = new PQueue({ concurrency: parseInt(options.concurrency, 10) });
+      const probes = new Map();
+      const lookupProbe = (url) => {
+        const identity = getMediaIdentity(url);
+        const hash = extractMediaHash(url);
+        if (probes.has(identity)) {
+          return probes.get(identity);
+        }
 
-    // Enrich entries with user information from preview logs
-    if (!dryRun && !skipUserEnrichment) {
-      spinner.start('Enriching entries with user information from preview logs...');
-      try {
-        const enrichedEntries = await enrichEntriesWithUser(
-          allEntries,
-          org,
-          repo,
-          ref,
-          token,
-          user,
-          verbose,
-        );
-        allEntries.length = 0;
-        allEntries.push(...enrichedEntries);
+        let lookup;
+        if (hash && probeCache.has(hash)) {
+          stats.probeCacheHits += 1;
+          lookup = Promise.resolve(probeCache.get(hash));
+        } else {
+          // Failures resolve to null and aren't cached, so the next run tries again
+          lookup = mediaQueue.add(() => probeMedia(url.split('#')[0])).then((result) => {
+            stats.mediaProbed += 1;
+            if (hash) {
+              probeCache.set(hash, result || {});
+            }
+            return result || {};
+          }, (error) => {
+            stats.probeFailures += 1;
+            if (verbose) {
+              console.error(chalk.red(`  ✗ probe ${url}: ${error.message}`));
+            }
+            return null;
+          });
+        }
+        probes.set(identity, lookup);
+        return lookup;
+      };
+
+      // Sets the content type the bytes show, and fills in the dimensions of entries without a
+      // fragment. Media with a fragment are probed too, as their extension may be wrong.
+      const probeEntry = async (entry) => {
+        if (!entry.path.startsWith(`${probeOrigin}/`)) return entry;
+        const result = await lookupProbe(entry.path);
+        if (!result) return entry;
+
+        const probed = { ...entry };
+        if (result.width && !entry.width) {
+          probed.width = result.width;
+          probed.height = result.height;
+          stats.dimensionsProbed += 1;
+        }
+        if (result.contentType && result.contentType !== entry.contentType) {
+          if (verbose) {
+            log(chalk.gray(`  ${entry.path}: ${entry.contentType || 'unknown type'} is ${result.contentType}`));
+          }
+          probed.contentType = result.contentType;
+          stats.contentTypesCorrected += 1;
+        }
+        return probed;
+      };
+
+      // --content-dedup: media without a hash in their URL are downloaded once and keyed by their
+      // bytes, so the same file under several URLs deduplicates like media bus media. They are
+      // downloaded as referenced, query included, since signed URLs only work with it.
+      const digests = new Map();
+      const digestEntry = async (entry) => {
+        if (extractMediaHash(entry.path) || !/^https?:\/\//.test(entry.path)) return entry;
+        const identity = getMediaIdentity(entry.path);
+        if (!digests.has(identity)) {
+          const url = entry.sourceUrl || identity;
+          digests.set(identity, mediaQueue.add(() => digestMedia(url)).then((digest) => {
+            stats.mediaDigested += 1;
+            return digest;
+          }, (error) => {
+            // The entry keeps its URL identity
+            stats.digestFailures += 1;
+            if (verbose) {
+              console.error(chalk.red(`  ✗ download ${url}: ${error.message}`));
+            }
+            return null;
+          }));
+        }
+        const contentDigest = await digests.get(identity);
+        return contentDigest ? { ...entry, contentDigest } : entry;
+      };
+
+      const completeEntry = async (entry) => {
+        const probed = probeEnabled ? await probeEntry(entry) : entry;
+        return contentDedup ? digestEntry(probed) : probed;
+      };
+      // URLs seen for each content digest; digests with several are the duplicate groups
+      const duplicateUrls = new Map();
+
+      const seenMedia = new Set([...committedMedia, ...loggedMedia]);
+      // When each media first appeared (the time of its "ingest" page), for the closest
+      // strategy. Media from before a --resume are missing: their entries use their page's time.
+      const mediaAppearedAt = new Map();
+      // Batches continue from the first resource not checkpointed, so they come out as before
+      let pendingBatch = [...(checkpoint.openBatch || [])];
+      let nextBatch = checkpoint.nextBatch ?? checkpoint.lastBatchSent + 1;
+      // Parsed resources, in order, until every batch holding their entries is handled
+      const pendingPages = [];
+
+      // Moves finished resources into the checkpoint; failures are not checkpointed, so
+      // --resume retries those resources anyway
+      const commitPages = () => {
+        const committedBefore = processedPaths.size;
+        while (pendingPages.length > 0 && pendingPages[0].lastBatch <= checkpoint.lastBatchSent) {
+          const page = pendingPages.shift();
+          processedPaths.add(page.path);
+          page.media.forEach((identity) => committedMedia.add(identity));
+          page.keys.forEach((key) => currentKeys.add(key));
+          checkpoint.inventory.push(...page.inventory);
+          Object.entries(page.counts).forEach(([key, value]) => {
+            if (key in committedStats) committedStats[key] += value;
+          });
+          if (page.withoutMedia) {
+            checkpoint.pagesWithoutMedia.push(page.path);
+          }
+          checkpoint.nextBatch = page.nextBatch;
+          checkpoint.openBatch = page.openBatch;
+        }
+        Object.keys(checkpoint.sentBatches)
+          .filter((index) => index < checkpoint.nextBatch)
+          .forEach((index) => delete checkpoint.sentBatches[index]);
 
-        const entriesWithUsers = enrichedEntries.filter((e) => e.user).length;
-        if (entriesWithUsers > 0) {
-          spinner.succeed(`Enriched entries (${entriesWithUsers}/${allEntries.length} have user info)`);
+        if (Math.floor(processedPaths.size / CHECKPOINT_INTERVAL)
+          > Math.floor(committedBefore / CHECKPOINT_INTERVAL)) {
+          return persist();
+        }
+        return Promise.resolve();
+      };
+
+      const flushBatch = () => {
+        sendBatch(pendingBatch, nextBatch, commitPages);
+        pendingBatch = [];
+        nextBatch += 1;
+      };
+
+      // Entries take the same steps as they would all at once: dedup, enrichment, the
+      // inventory and reconcile keys (which keep entries already logged), then --skip-existing
+      const onParsed = async (resource, entries) => {
+        const page = {
+          path: resource.path,
+          withoutMedia: entries.length === 0,
+          media: [],
+          keys: [],
+          inventory: [],
+          counts: {
+            totalMediaFound: entries.length,
+            mediaIngested: 0,
+            mediaReused: 0,
+            alreadyPresent: 0,
+            newEntries: 0,
+            invalidEntries: 0,
+          },
+        };
+        if (isMediaFile(resource.path)) {
+          page.counts.standaloneMediaFound = 1;
+        } else if (isSheetResource(resource.path)) {
+          page.counts.sheetsProcessed = 1;
+          page.counts.mediaFromSheets = entries.length;
         } else {
-          spinner.warn('User enrichment completed but no users found (check token permissions)');
+          page.counts.markdownPagesProcessed = 1;
+          page.counts.mediaFromMarkdown = entries.length;
         }
-      } catch (error) {
-        spinner.warn(`User enrichment failed: ${error.message}`);
-        console.log(chalk.yellow('\n  ⚠️  Continuing without user information...\n'));
-      }
-    } else if (skipUserEnrichment) {
-      console.log(chalk.gray(
-        '\n⏭️  Skipping user enrichment (--skip-user-enrichment flag set)\n',
+        stats.totalMediaFound += entries.length;
+
+        const original = timestamps ? getOriginalTimestamp(resource, previewEvents, options) : null;
+        if (original) {
+          const counter = TIMESTAMP_COUNTERS[original.source];
+          stats[counter] += entries.length;
+          page.counts[counter] = entries.length;
+        }
+
+        const pageTime = getEarliestTime(resource);
+
+        entries.forEach((parsed) => {
+          // First occurrence of a media is "ingest", later ones are "reuse"
+          const identity = getEntryIdentity(parsed);
+          if (parsed.contentDigest) {
+            const urls = duplicateUrls.get(identity) || new Set();
+            duplicateUrls.set(identity, urls.add(getMediaIdentity(parsed.path)));
+          }
+          let operation = 'ingest';
+          if (seenMedia.has(identity)) {
+            operation = 'reuse';
+            stats.mediaReused += 1;
+            page.counts.mediaReused += 1;
+          } else {
+            seenMedia.add(identity);
+            page.media.push(identity);
+            if (userStrategy === 'closest') {
+              mediaAppearedAt.set(identity, pageTime);
+            }
+            stats.mediaIngested += 1;
+            page.counts.mediaIngested += 1;
+          }
+
+          const entry = withUser({
+            ...parsed,
+            operation,
+            ...(original?.timestamp && { timestamp: original.timestamp }),
+          }, mediaAppearedAt.get(identity) ?? pageTime);
+          if (reconcile) {
+            page.keys.push(getMediaLogKey(entry));
+          }
+
+          if (isInvalidEntry(entry)) {
+            stats.invalidEntries += 1;
+            page.counts.invalidEntries += 1;
+            return;
+          }
+
+          if (output) {
+            page.inventory.push(original ? { ...entry, timestampSource: original.source } : entry);
+          }
+
+          // Entries that earlier runs already logged are dropped (the media log API is append-only)
+          if (existingIndex) {
+            const counter = existingIndex.has(getMediaLogKey(entry)) ? 'alreadyPresent' : 'newEntries';
+            stats[counter] += 1;
+            page.counts[counter] += 1;
+            if (counter === 'alreadyPresent') return;
+          }
+
+          pendingBatch.push(entry);
+          if (pendingBatch.length === checkpoint.batchSize) {
+            flushBatch();
+          }
+        });
+
+        page.lastBatch = pendingBatch.length > 0 ? nextBatch : nextBatch - 1;
+        page.nextBatch = nextBatch;
+        page.openBatch = [...pendingBatch];
+        pendingPages.push(page);
+        await commitPages();
+
+        // Parsing waits while the send queue is backed up
+        await sendQueue.onSizeLessThan(parseInt(sendConcurrency, 10) * 2);
+      };
+
+      log(chalk.yellow(
+        `⏱️  Rate limit: ${rateLimit} requests per second (batches are sent while parsing continues)\n`,
       ));
-    }
 
-    const batches = batchEntries(allEntries, Math.min(parseInt(batchSize, 10), 10));
-    console.log(chalk.gray(`Sending ${batches.length} batches...\n`));
-    const estimatedTime = Math.ceil(batches.length / 10);
-    console.log(chalk.yellow(
-      `⏱️  Rate limit: 10 requests per second (estimated time: ~${estimatedTime} seconds)\n`,
-    ));
+      await parseResources(processableResources, {
+        ...options,
+        token,
+        stats,
+        spinner,
+        failedResources,
+        isStopped: () => fatalError !== null || interrupted,
+        ...((probeEnabled || contentDedup) && { completeEntry }),
+      }, onParsed);
+      if (probeEnabled) {
+        await saveProbeCache(probeCache, probeCacheFile);
+      }
 
-    // Wait 2s to let rate limit recover after markdown fetching
-    if (!dryRun) {
-      console.log(chalk.gray('⏸️  Waiting 2s for rate limit recovery...\n'));
-      await new Promise((resolve) => {
-        setTimeout(resolve, 2000);
-      });
-    }
+      if (pendingBatch.length > 0 && !fatalError) {
+        flushBatch();
+      }
+      timings.parsing = Date.now() - parsingStart;
+      phase = 'sending';
+      sendingStart = Date.now();
 
-    spinner.start('Sending to media log API...');
+      if (sendQueue.size + sendQueue.pending > 0) {
+        spinner.start('Sending remaining batches to media log API...');
+      }
+      await drainSendQueue(`${processedPaths.size} resources fully sent`);
+      if (batchesQueued > 0) {
+        const failed = failedBatches.length > 0 ? ` (${failedBatches.length} failed)` : '';
+        spinner.succeed(`${dryRun ? 'Prepared' : 'Sent'} ${batchesQueued - batchesSkipped} batches${failed}`);
+        if (batchesSkipped > 0) {
+          log(chalk.gray(`  (${batchesSkipped} batches were already sent before the checkpoint)`));
+        }
+      }
 
-    const sleep = (ms) => new Promise((resolve) => {
-      setTimeout(resolve, ms);
-    });
+      if (stats.totalMediaFound > 0) {
+        const fromSheets = stats.mediaFromSheets ? ` + ${stats.mediaFromSheets} from sheets` : '';
+        log(chalk.green(
+          `\n✓ Total media: ${stats.totalMediaFound} (${stats.standaloneMediaFound} standalone + ${stats.mediaFromMarkdown} from markdown${fromSheets})`,
+        ));
+        log(chalk.green(
+          `✓ Deduplication: ${stats.mediaIngested} unique media (ingest), ${stats.mediaReused} reuses`,
+        ));
+        if (verbose && stats.mediaReused > 0) {
+          log(chalk.gray(`  Found ${seenMedia.size} unique media`));
+        }
+      }
 
-    // Note: Sequential processing with await-in-loop is intentional here
-    // to respect API rate limits (10 req/sec = 100ms between requests)
-    for (const [index, batch] of batches.entries()) {
-      try {
-        await sendMediaLogBatch(org, repo, ref, batch, token, dryRun);
-        stats.batchesSent += 1;
+      if (contentDedup) {
+        const groups = [...duplicateUrls.values()].filter((urls) => urls.size > 1);
+        stats.duplicateGroups = groups.length;
+        log(chalk.green(
+          `✓ Content dedup: ${stats.mediaDigested} media downloaded, ${groups.length} found under more than one URL`,
+        ));
+        groups.forEach((urls) => {
+          const [first, ...others] = urls;
+          const shown = verbose ? others : others.slice(0, 3);
+          log(chalk.gray(`  ${first}`));
+          shown.forEach((url) => log(chalk.gray(`    = ${url}`)));
+          if (shown.length < others.length) {
+            log(chalk.gray(`    ... and ${others.length - shown.length} more`));
+          }
+        });
+      }
 
-        if (verbose) {
-          spinner.text = `Sent batch ${index + 1}/${batches.length}`;
+      if (skipExisting) {
+        log(chalk.green(
+          `✓ Skipping ${stats.alreadyPresent} entries already in media log, ${stats.newEntries} new`,
+        ));
+      }
+
+      // Compare against the full parsed content, including entries --skip-existing dropped
+      let removals = [];
+      if (reconcile) {
+        const candidates = buildRemoveEntries(logEntries, currentKeys, isInScope, {
+          org, repo, ref,
+        }).map((entry) => withUser(entry));
+        removals = candidates.filter((entry) => !isInvalidEntry(entry));
+        // Parsing is done, so this is saved with the resources' counts
+        committedStats.invalidEntries += candidates.length - removals.length;
+        stats.invalidEntries = committedStats.invalidEntries;
+        stats.removals = removals.length;
+        log(chalk.cyan(`\n✓ Reconcile: ${removals.length} media no longer referenced (remove)`));
+
+        if (dryRun || verbose) {
+          removals.forEach((entry) => {
+            log(chalk.gray(`    - remove ${entry.path} ← ${entry.resourcePath}`));
+          });
         }
+      }
 
-        // Respect rate limit: 10 requests per second = 100ms between requests
-        if (index < batches.length - 1 && !dryRun) {
-          await sleep(100);
+      const enrichedCount = Object.values(userSources).reduce((sum, count) => sum + count, 0);
+      if (enrichedCount > 0) {
+        const withUsers = enrichedCount - userSources.none;
+        if (withUsers > 0) {
+          log(chalk.green(`✓ Enriched entries (${withUsers}/${enrichedCount} have user info)`));
+        } else {
+          log(chalk.yellow('⚠️  User enrichment completed but no users found (check token permissions)'));
         }
-      } catch (error) {
-        stats.errors += 1;
-        await saveFailedBatch(batch, error);
-        if (verbose) {
-          console.error(chalk.red(`\n  ✗ Batch ${index + 1} failed: ${error.message}`));
+        if (verbose || userMap) {
+          log(chalk.gray('  User enrichment summary:'));
+          if (userMap) {
+            log(chalk.gray(`    From user map: ${userSources.map}`));
+          }
+          log(chalk.gray(`    Found from preview logs: ${userSources.preview}`));
+          log(chalk.gray(`    Used fallback user: ${userSources.fallback}`));
+          log(chalk.gray(`    No user assigned: ${userSources.none}`));
         }
       }
+
+      // Written in dry runs too, so the inventory can be reviewed before anything is sent
+      if (output) {
+        const inventory = [...checkpoint.inventory, ...removals];
+        const format = await writeInventory(
+          buildInventory(inventory, checkpoint.pagesWithoutMedia, failedResources, {
+            org, repo, ref, partition, dryRun,
+          }),
+          output,
+          outputFormat,
+        );
+        log(chalk.gray(`📄 Media inventory written to ${output} (${format})`));
+      }
+
+      if (stats.totalMediaFound === 0 && removals.length === 0) {
+        log(chalk.yellow('\n⚠️  No media found'));
+      } else if ((skipExisting || reconcile) && batchesQueued === 0 && removals.length === 0) {
+        log(chalk.green('\n✓ Media log is already up to date'));
+      }
+
+      // Removals go last, as they only make sense once every page has been read
+      if (removals.length > 0) {
+        checkpoint.entries = removals;
+        checkpoint.firstRemovalBatch = checkpoint.lastBatchSent + 1;
+        checkpoint.sentBatches = {};
+        checkpoint.phase = 'sending';
+        await persist();
+      }
     }
 
-    spinner.succeed('Media log ingestion complete');
+    if (checkpoint.phase === 'sending') {
+      phase = 'sending';
+      sendingStart = sendingStart || Date.now();
+      const batches = batchEntries(checkpoint.entries, checkpoint.batchSize);
+      const alreadySent = checkpoint.lastBatchSent + 1 - checkpoint.firstRemovalBatch;
+      log(chalk.gray(`\nSending ${batches.length - alreadySent} batches of removals...\n`));
+      if (alreadySent > 0) {
+        log(chalk.gray(`  (${alreadySent} batches were already sent before the checkpoint)\n`));
+      }
+
+      spinner.start('Sending removals to media log API...');
+      batches.slice(alreadySent).forEach((batch, offset) => {
+        sendBatch(batch, checkpoint.lastBatchSent + 1 + offset, persist);
+      });
+      await drainSendQueue(
+        `${checkpoint.lastBatchSent + 1 - checkpoint.firstRemovalBatch} of ${batches.length} removal batches handled`,
+      );
+      spinner.succeed('Removals sent');
+    }
+
+    if (batchesQueued > 0) {
+      log(chalk.green('✓ Media log ingestion complete'));
+    }
+    if (sendingStart) {
+      timings.sending = Date.now() - sendingStart;
+    }
+    await clearCheckpoint(checkpointFile);
+
+    // Only a clean run becomes the --since-last-run baseline, or failed pages would be skipped.
+    // Local content says nothing about what was previewed, so --source runs are not recorded.
+    if (!dryRun && !source && stats.errors === 0) {
+      await recordRun({
+        org, repo, ref, path, partition,
+      }, new Date(checkpoint.startedAt));
+    } else if (!dryRun && sinceLastRun) {
+      log(chalk.yellow('⚠️  Run had errors, not updating the last-run time for --since-last-run'));
+    }
 
     if (verify && !dryRun && stats.batchesSent > 0) {
       spinner.start('Verifying entries in media log...');
@@ -456,11 +1518,11 @@ async function runIngest(options) {
         spinner.succeed(`Verified ${chalk.cyan(result.count)} recent entries in media log`);
 
         if (verbose && result.entries.length > 0) {
-          console.log(chalk.gray('\nRecent entries (sample):'));
+          log(chalk.gray('\nRecent entries (sample):'));
           result.entries.slice(0, 5).forEach((entry) => {
             const op = entry.operation || 'N/A';
             const src = entry.originalFilename || 'N/A';
-            console.log(chalk.gray(`  ${op} | ${src} | ${entry.user || 'N/A'}`));
+            log(chalk.gray(`  ${op} | ${src} | ${entry.user || 'N/A'}`));
           });
         }
       } catch (error) {
@@ -468,17 +1530,432 @@ async function runIngest(options) {
       }
     }
 
-    console.log(generateReport(stats));
+    log(generateReport(stats));
 
     if (!dryRun && stats.batchesSent > 0) {
-      console.log(chalk.green('\n✓ Entries successfully sent to media log'));
+      log(chalk.green('\n✓ Entries successfully sent to media log'));
       const queryUrl = `https://admin.hlx.page/medialog/${org}/${repo}/${ref}?limit=100`;
-      console.log(chalk.gray(`  Query: ${chalk.cyan(queryUrl)}`));
+      log(chalk.gray(`  Query: ${chalk.cyan(queryUrl)}`));
     }
+
+    return finish();
   } catch (error) {
     spinner.fail('Error');
     console.error(chalk.red(`\n✗ ${error.message}\n`));
-    process.exit(1);
+    return buildResult('error', getExitCode(error, phase), error);
+  } finally {
+    siteInterruptHandlers.delete(onInterrupt);
+  }
+}
+
+// Runs the interrupt handler of every site still in progress, then exits
+function handleIngestInterrupt(onResults) {
+  const onInterrupt = async () => {
+    const results = await Promise.all([...siteInterruptHandlers].map((handler) => handler()));
+    onResults(results);
+    process.exit(130);
+  };
+  process.once('SIGINT', onInterrupt);
+  return () => process.removeListener('SIGINT', onInterrupt);
+}
+
+// The overall exit code of several sites: theirs if they all agree, otherwise partial failure
+function combineExitCodes(results) {
+  const codes = new Set(results.map((result) => result.exitCode));
+  return codes.size === 1 ? [...codes][0] : EXIT_CODES.PARTIAL_FAILURE;
+}
+
+async function runSites(options) {
+  const startTime = Date.now();
+  const { config, verbose } = options;
+  const results = [];
+
+  let sites;
+  try {
+    if (options.resume || options.userMapping) {
+      throw new Error(`${options.resume ? '--resume' : '--user-mapping'} cannot be used with --config`);
+    }
+    sites = await loadSitesConfig(config, { ref: options.ref, path: options.path });
+  } catch (error) {
+    console.error(chalk.red(`✗ ${error.message}\n`));
+    writeJsonResult({ status: 'error', exitCode: EXIT_CODES.ERROR, error: error.message });
+    process.exitCode = EXIT_CODES.ERROR;
+    return;
+  }
+
+  const siteConcurrency = Math.max(parseInt(options.siteConcurrency, 10), 1);
+  // Spinners of sites running side by side would overwrite each other
+  if (siteConcurrency > 1) {
+    silentSpinners = true;
+  }
+  log(chalk.gray(
+    `Ingesting ${sites.length} sites from ${config} (${Math.min(siteConcurrency, sites.length)} at a time)\n`,
+  ));
+
+  const buildSitesResult = (siteResults, status) => {
+    const exitCode = status === 'interrupted' ? 130 : combineExitCodes(siteResults);
+    return {
+      status: status || (exitCode === EXIT_CODES.SUCCESS ? 'success' : 'partial'),
+      exitCode,
+      sites: siteResults,
+      totals: combineStats(siteResults.filter((result) => result.stats).map((r) => r.stats)),
+      timings: { total: Date.now() - startTime },
+    };
+  };
+
+  // Sites that had not started yet are left out of the report
+  const removeInterruptHandler = handleIngestInterrupt((interrupted) => {
+    const siteResults = [...results.filter(Boolean), ...interrupted];
+    log(generateSitesReport(siteResults));
+    writeJsonResult(buildSitesResult(siteResults, 'interrupted'));
+  });
+
+  const queue = new PQueue({ concurrency: siteConcurrency });
+  await queue.addAll(sites.map((site, index) => async () => {
+    const {
+      org, repo, ref, path, user,
+    } = site;
+    log(chalk.blue.bold(`\n--- ${org}/${repo}/${ref}${path === '/*' ? '' : ` ${path}`} ---\n`));
+
+    let result;
+    try {
+      const token = resolveSiteToken(site, options);
+      result = await ingestSite({
+        ...options,
+        org,
+        repo,
+        ref,
+        path,
+        user: user || options.user,
+        checkpoint: getSiteCheckpointFile(options.checkpoint, site),
+      }, token);
+    } catch (error) {
+      console.error(chalk.red(`✗ ${org}/${repo}/${ref}: ${error.message}\n`));
+      result = {
+        status: 'error', exitCode: getExitCode(error), org, repo, ref, error: error.message,
+      };
+    }
+    results[index] = result;
+
+    if (verbose || siteConcurrency > 1) {
+      log(chalk.gray(`  Finished ${org}/${repo}/${ref}: ${result.status}`));
+    }
+  }));
+  removeInterruptHandler();
+
+  log(generateSitesReport(results));
+
+  const sitesResult = buildSitesResult(results);
+  writeJsonResult(sitesResult);
+  process.exitCode = sitesResult.exitCode;
+}
+
+async function runIngest(options, command) {
+  if (options.json) {
+    enableJsonMode();
+  }
+
+  if (!options.config && (!options.org || !options.repo)) {
+    command.error(`error: required option '${options.org ? '--repo <repo>' : '--org <org>'}' not specified`);
+  }
+
+  // These all need bulk status jobs or preview history, which local content doesn't have
+  const sourceConflict = options.source && ['config', 'job', 'sinceLastRun', 'userMapping']
+    .find((key) => options[key]);
+  if (sourceConflict) {
+    const flag = sourceConflict.replace(/[A-Z]/g, (letter) => `-${letter.toLowerCase()}`);
+    command.error(`error: --source cannot be used with --${flag}`);
+  }
+
+  log(chalk.blue.bold('\n=== Media Log Ingestor ===\n'));
+
+  if (options.config) {
+    await runSites(options);
+    return;
+  }
+
+  // A dry run of local content that doesn't read the media log can run fully offline
+  const offline = options.source && options.dryRun && !options.skipExisting && !options.reconcile
+    && !options.since && !options.token && !process.env.ADMIN_TOKEN;
+  const token = offline ? null : resolveToken(options);
+  if (offline) {
+    log(chalk.gray('No token: running offline, without preview log users\n'));
+  }
+
+  // User mapping test mode - skip parsing/sending, just test user mapping
+  if (options.userMapping) {
+    await runUserMappingTest(options, token);
+    return;
+  }
+
+  const removeInterruptHandler = handleIngestInterrupt(([result]) => {
+    if (result) {
+      writeJsonResult(result);
+    }
+  });
+  const result = await ingestSite(options, token);
+  removeInterruptHandler();
+
+  writeJsonResult(result);
+  process.exitCode = result.exitCode;
+}
+
+/**
+ * Discovers and parses every resource of one partition
+ * @param {Object} options - Command options
+ * @param {string} token - Auth token
+ * @param {string} partition - Content partition ('preview' or 'live')
+ * @param {Object} spinner - Ora spinner
+ * @returns {Promise<Array>} Media entries referenced in the partition
+ */
+async function collectPartitionEntries(options, token, partition, spinner) {
+  const {
+    org, repo, ref, path, sheets,
+  } = options;
+
+  spinner.start(`Creating ${partition} bulk status job...`);
+  const { jobId, jobUrl } = await createBulkStatusJob(org, repo, ref, path, token, partition);
+  spinner.succeed(`Job created: ${chalk.cyan(jobId)}`);
+
+  await waitForJob(jobUrl, token, options, true);
+
+  spinner.start('Fetching job details...');
+  const resources = await getJobDetails(jobUrl, token);
+  spinner.succeed(`Discovered ${chalk.cyan(resources.length)} ${partition} resources`);
+
+  const sheetPatterns = parseListOption(sheets);
+  const processableResources = resources
+    .filter((r) => shouldProcessResource(r) || (sheets && shouldProcessSheet(r, sheetPatterns)));
+
+  const stats = {
+    markdownPagesProcessed: 0,
+    standaloneMediaFound: 0,
+    mediaFromMarkdown: 0,
+    sheetsProcessed: 0,
+    mediaFromSheets: 0,
+    errors: 0,
+  };
+  const entries = [];
+  await parseResources(processableResources, {
+    ...options, token, partition, stats, spinner,
+  }, async (resource, parsed) => {
+    entries.push(...parsed);
+  });
+
+  if (stats.errors > 0) {
+    log(chalk.yellow(`⚠️  ${stats.errors} ${partition} resources could not be read`));
+  }
+
+  return entries;
+}
+
+async function runCompare(options) {
+  const spinner = createSpinner();
+  const token = resolveToken(options);
+  const onInterrupt = async () => {
+    spinner.stop();
+    await cancelInFlightJobs();
+    process.exit(130);
+  };
+  process.once('SIGINT', onInterrupt);
+
+  try {
+    log(chalk.blue.bold('\n=== Preview vs Live Media ===\n'));
+
+    const previewEntries = await collectPartitionEntries(options, token, 'preview', spinner);
+    const liveEntries = await collectPartitionEntries(options, token, 'live', spinner);
+
+    const comparison = comparePartitionMedia(previewEntries, liveEntries);
+    log(generateComparisonReport(comparison, options.verbose));
+  } catch (error) {
+    spinner.fail('Error');
+    console.error(chalk.red(`\n✗ ${error.message}\n`));
+    process.exit(getExitCode(error, 'discovery'));
+  } finally {
+    process.removeListener('SIGINT', onInterrupt);
+  }
+}
+
+async function runRetry(options) {
+  const spinner = createSpinner();
+  const startTime = Date.now();
+  const { file, dryRun, verbose } = options;
+  const buildResult = (status, exitCode, counts, error) => ({
+    status,
+    exitCode,
+    file,
+    dryRun,
+    ...counts,
+    timings: { total: Date.now() - startTime },
+    ...(error && { error: error.message }),
+  });
+  const finish = (status, exitCode, counts) => {
+    writeJsonResult(buildResult(status, exitCode, counts));
+    process.exitCode = exitCode;
+  };
+
+  try {
+    log(chalk.blue.bold('\n=== Retry Failed Batches ===\n'));
+
+    const records = await loadFailedBatches(file);
+
+    if (records.length === 0) {
+      log(chalk.green(`✓ No failed batches found in ${file}\n`));
+      finish('success', EXIT_CODES.SUCCESS, { batches: 0, resent: 0, kept: 0 });
+      return;
+    }
+
+    // With --config, each batch is resent with the token of its site, like the run that saved it
+    const sites = options.config
+      ? await loadSitesConfig(options.config, { ref: options.ref, path: '/*' })
+      : null;
+    const token = dryRun || sites ? null : resolveToken(options);
+    const siteTokens = new Map();
+    const getTokenSource = (org, repo, ref) => {
+      const site = sites.find((s) => s.org === org && s.repo === repo && s.ref === ref)
+        || sites.find((s) => s.org === org && s.repo === repo)
+        || { org, repo };
+      return { site, source: site.tokenEnv || 'ADMIN_TOKEN' };
+    };
+    const resolveRecordToken = ({ site, source }) => {
+      if (!siteTokens.has(source)) {
+        siteTokens.set(source, resolveSiteToken(site, options));
+      }
+      return siteTokens.get(source);
+    };
+    const totalEntries = records.reduce((sum, record) => sum + record.entries.length, 0);
+    log(chalk.gray(`Found ${records.length} failed batches (${totalEntries} entries) in ${file}\n`));
+
+    if (dryRun) {
+      log(chalk.yellow('*** DRY RUN MODE - No data will be sent ***\n'));
+    }
+
+    const remaining = [];
+    let succeeded = 0;
+    let authFailure = null;
+    // Token sources the API rejected; the batches of their sites are kept untouched
+    const rejectedSources = new Set();
+
+    spinner.start('Resending failed batches...');
+
+    // Sequential so the file keeps its order; the shared rate limiter paces the requests
+    for (const [index, record] of records.entries()) {
+      // Older records don't carry a target, so fall back to the CLI options and entry fields
+      const org = record.org || options.org || record.entries[0]?.owner;
+      const repo = record.repo || options.repo || record.entries[0]?.repo;
+      const ref = record.ref || options.ref;
+      const target = `${org}/${repo}/${ref}`;
+      // Records from earlier versions hold relative media URLs; entries that still don't match
+      // the schema stay in the file, since the API would reject their whole batch
+      const known = Boolean(org && repo);
+      const entries = known
+        ? record.entries.map((entry) => upgradeEntry(entry, { org, repo, ref }))
+        : record.entries;
+      const invalid = known ? entries.filter(isInvalidEntry) : [];
+      const valid = entries.filter((entry) => !invalid.includes(entry));
+      const invalidRecord = {
+        ...record,
+        org,
+        repo,
+        ref,
+        entries: invalid,
+        timestamp: new Date().toISOString(),
+        error: 'Entries do not match the media log schema',
+      };
+
+      const tokenSource = sites && known ? getTokenSource(org, repo, ref) : null;
+
+      if (dryRun) {
+        log(chalk.gray(
+          `\n  Batch ${index + 1}: ${valid.length} entries -> ${target} (last error: ${record.error})`,
+        ));
+        if (verbose) {
+          valid.forEach((entry) => {
+            log(chalk.gray(`    - ${entry.operation} ${entry.path}`));
+          });
+        }
+        remaining.push(record);
+      } else if (tokenSource && rejectedSources.has(tokenSource.source)) {
+        remaining.push(record);
+      } else {
+        try {
+          if (!known) {
+            throw new Error('Cannot determine org/repo for batch (use --org and --repo)');
+          }
+          if (valid.length > 0) {
+            const batchToken = tokenSource ? resolveRecordToken(tokenSource) : token;
+            await sendMediaLogBatch(org, repo, ref, valid, batchToken);
+          }
+          if (invalid.length > 0) {
+            remaining.push(invalidRecord);
+          } else {
+            succeeded += 1;
+          }
+
+          if (verbose) {
+            spinner.text = `Resent batch ${index + 1}/${records.length} to ${target}`;
+          }
+        } catch (error) {
+          // Batches sent with the same token would be rejected too, so keep them untouched
+          // for the next retry (a missing or invalid site token counts as rejected)
+          if (error.code === 'AUTH_FAILURE' || error.status === 401) {
+            authFailure = error;
+            if (!tokenSource) {
+              remaining.push(...records.slice(index));
+              break;
+            }
+            rejectedSources.add(tokenSource.source);
+            remaining.push(record);
+          } else {
+            remaining.push({
+              ...record,
+              org,
+              repo,
+              ref,
+              entries,
+              timestamp: new Date().toISOString(),
+              error: error.message,
+              attempts: (record.attempts || 1) + 1,
+            });
+            if (verbose) {
+              console.error(chalk.red(`\n  ✗ Batch ${index + 1} failed again: ${error.message}`));
+            }
+          }
+        }
+      }
+    }
+
+    const counts = { batches: records.length, resent: succeeded, kept: remaining.length };
+    if (dryRun) {
+      spinner.succeed(`Dry run complete: ${records.length} batches would be resent`);
+      finish('success', EXIT_CODES.SUCCESS, counts);
+      return;
+    }
+
+    await writeFailedBatches(remaining, file);
+
+    if (authFailure) {
+      const outcome = sites ? 'kept the batches of rejected tokens' : 'stopped';
+      spinner.fail(`Resent ${succeeded} batches, ${outcome}: ${authFailure.message}`);
+      log(chalk.gray(`  ${remaining.length} batches kept in ${file}\n`));
+      writeJsonResult(buildResult('error', EXIT_CODES.AUTH_FAILURE, counts, authFailure));
+      process.exitCode = EXIT_CODES.AUTH_FAILURE;
+      return;
+    }
+
+    if (remaining.length === 0) {
+      spinner.succeed(`All ${succeeded} batches resent successfully, removed ${file}`);
+      finish('success', EXIT_CODES.SUCCESS, counts);
+    } else {
+      spinner.warn(`Resent ${succeeded} batches, ${remaining.length} failed again (kept in ${file})`);
+      finish('partial', EXIT_CODES.PARTIAL_FAILURE, counts);
+    }
+  } catch (error) {
+    spinner.fail('Error');
+    console.error(chalk.red(`\n✗ ${error.message}\n`));
+    const exitCode = getExitCode(error);
+    writeJsonResult(buildResult('error', exitCode, {}, error));
+    process.exitCode = exitCode;
   }
 }
 
@@ -495,7 +1972,13 @@ Examples:
   $ logmedia --org myorg --repo myrepo --token YOUR_TOKEN
   $ logmedia --org myorg --repo myrepo --dry-run --verbose
   $ logmedia --org myorg --repo myrepo --skip-user-enrichment
+  $ logmedia --org myorg --repo myrepo --skip-existing
   $ logmedia --org myorg --repo myrepo --user-mapping --verbose
+  $ logmedia --org myorg --repo myrepo --partition live
+  $ logmedia --config sites.json --site-concurrency 3
+  $ logmedia --org myorg --repo myrepo --source ./export --dry-run --output inventory.csv
+  $ logmedia compare --org myorg --repo myrepo
+  $ logmedia retry --dry-run
 
 User Enrichment:
   By default, the tool enriches media entries with user information from preview logs.
@@ -506,6 +1989,16 @@ Getting a token:
   Run 'logmedia token' for instructions on obtaining an authentication token
 `);
 
+// Every Admin API request of the run shares the --rate-limit budget
+program.hook('preAction', (thisCommand, actionCommand) => {
+  const { rateLimit } = actionCommand.opts();
+  if (rateLimit === undefined) return;
+  if (!(parseFloat(rateLimit) > 0)) {
+    actionCommand.error(`error: --rate-limit must be a positive number of requests per second, got "${rateLimit}"`);
+  }
+  setRateLimit(parseFloat(rateLimit));
+});
+
 // Token help command
 program
   .command('token')
@@ -518,8 +2011,10 @@ program
 program
   .command('ingest', { isDefault: true })
   .description('Ingest media references into AEM media log')
-  .requiredOption('--org <org>', 'Organization name')
-  .requiredOption('--repo <repo>', 'Repository name')
+  .option('--org <org>', 'Organization name (required without --config)')
+  .option('--repo <repo>', 'Repository name (required without --config)')
+  .option('--config <file>', 'Ingest every site listed in a JSON config file')
+  .option('--site-concurrency <n>', 'Sites ingested in parallel with --config', '1')
   .option('--ref <ref>', 'Git reference (branch)', 'main')
   .option('--path <path>', 'Path filter (e.g., /products/*)', '/*')
   .option('--token <token>', 'Admin JWT token (or use ADMIN_TOKEN env var)')
@@ -527,13 +2022,88 @@ program
   .option('--dry-run', 'Run without sending to API', false)
   .option('--verify', 'Verify entries after sending', false)
   .option('--skip-user-enrichment', 'Skip user enrichment from preview logs', false)
+  .addOption(new Option('--user-strategy <strategy>', 'Which previewer a page\'s media are attributed to')
+    .choices(USER_STRATEGIES)
+    .default('last'))
+  .option('--user-map <file>', 'CSV or JSON file mapping paths or * patterns to users')
+  .option('--user-priority <sources>', 'Order in which user sources are tried (map, preview, fallback)', DEFAULT_USER_PRIORITY.join(','))
+  .option('--lookback <duration>', 'Preview log window for user attribution (e.g., 30d, 12w)', '30d')
+  .option('--lookback-from <date>', 'Read the preview log from this date instead (ISO date)')
+  .option('--lookback-to <date>', 'Read the preview log up to this date (ISO date, default: now)')
+  .option('--skip-existing', 'Skip entries already present in the media log', false)
+  .option('--reconcile', 'Send remove entries for media no longer referenced by their page', false)
+  .option('--existing-since <duration>', 'Media log lookback for --skip-existing and --reconcile', '365d')
   .option('--concurrency <n>', 'Parallel markdown fetching', '3')
   .option('--batch-size <n>', 'Entries per batch (max 10)', '10')
+  .option('--send-concurrency <n>', 'Media log batches sent in parallel', '4')
+  .option('--rate-limit <n>', 'Admin API requests per second, shared by all requests', String(DEFAULT_RATE_LIMIT))
   .option('--poll-interval <ms>', 'Job polling interval', '10000')
+  .option('--job <url|name>', 'Reuse the resources of an existing bulk status job')
+  .option('--job-timeout <ms>', 'Maximum time to wait for the bulk status job (0 = no limit)', '3600000')
+  .option('--since <duration|date>', 'Only process resources previewed since (e.g., 7d, 12h, 2025-01-31)')
+  .option('--since-last-run', 'Only process resources previewed since the last successful run', false)
+  .addOption(new Option('--timestamps <source>', 'Send each entry with its original time, from the bulk status job or the preview log')
+    .choices(['job', 'preview-log']))
+  .addOption(new Option('--partition <partition>', 'Content partition to read')
+    .choices(PARTITIONS)
+    .default('preview'))
+  .option('--sheets [patterns]', 'Scan .json sheets for media (optionally only these comma-separated paths, * wildcard)')
+  .option('--sheet-columns <columns>', 'Only scan these comma-separated sheet columns')
+  .option('--probe-media', 'Read the type and missing dimensions of media from their first bytes', false)
+  .option('--probe-cache <file>', 'Cache of --probe-media results, by media hash', DEFAULT_PROBE_CACHE_FILE)
+  .option('--content-dedup', 'Download media without a media hash and deduplicate them by content', false)
+  .option('--source <dir>', 'Read content from a local directory of .md files instead of the Admin API')
+  .option('--output <file>', 'Write the media inventory to a file (also in dry runs)')
+  .addOption(new Option('--output-format <format>', 'Inventory format (default: from file extension)')
+    .choices(['json', 'csv']))
   .option('--verbose', 'Detailed logging', false)
+  .option('--json', 'Print a machine-readable result on stdout (no spinners or colour)', false)
   .option('--user-mapping', 'Test user mapping only (skip parsing/sending)', false)
+  .option('--resume', 'Resume an interrupted run from its checkpoint', false)
+  .option('--checkpoint <file>', 'Checkpoint file', DEFAULT_CHECKPOINT_FILE)
+  .action(async (options, command) => {
+    await runIngest(options, command);
+  });
+
+// Preview vs live comparison command
+program
+  .command('compare')
+  .description('List media referenced in preview but not live, and the reverse')
+  .requiredOption('--org <org>', 'Organization name')
+  .requiredOption('--repo <repo>', 'Repository name')
+  .option('--ref <ref>', 'Git reference (branch)', 'main')
+  .option('--path <path>', 'Path filter (e.g., /products/*)', '/*')
+  .option('--token <token>', 'Admin JWT token (or use ADMIN_TOKEN env var)')
+  .option('--sheets [patterns]', 'Scan .json sheets for media (optionally only these comma-separated paths, * wildcard)')
+  .option('--sheet-columns <columns>', 'Only scan these comma-separated sheet columns')
+  .option('--concurrency <n>', 'Parallel markdown fetching', '3')
+  .option('--poll-interval <ms>', 'Job polling interval', '10000')
+  .option('--job-timeout <ms>', 'Maximum time to wait for each bulk status job (0 = no limit)', '3600000')
+  .option('--rate-limit <n>', 'Admin API requests per second, shared by all requests', String(DEFAULT_RATE_LIMIT))
+  .option('--verbose', 'Detailed logging (list every page)', false)
   .action(async (options) => {
-    await runIngest(options);
+    await runCompare(options);
+  });
+
+// Retry failed batches command
+program
+  .command('retry')
+  .description('Resend batches saved in failed-entries.json')
+  .option('--file <file>', 'Failed entries file', 'failed-entries.json')
+  .option('--org <org>', 'Organization name (for batches saved without one)')
+  .option('--repo <repo>', 'Repository name (for batches saved without one)')
+  .option('--ref <ref>', 'Git reference (for batches saved without one)', 'main')
+  .option('--token <token>', 'Admin JWT token (or use ADMIN_TOKEN env var)')
+  .option('--config <file>', 'Multi-site config file; each batch is sent with its site\'s token')
+  .option('--dry-run', 'Preview batches without sending', false)
+  .option('--rate-limit <n>', 'Admin API requests per second, shared by all requests', String(DEFAULT_RATE_LIMIT))
+  .option('--verbose', 'Detailed logging', false)
+  .option('--json', 'Print a machine-readable result on stdout (no spinners or colour)', false)
+  .action(async (options) => {
+    if (options.json) {
+      enableJsonMode();
+    }
+    await runRetry(options);
   });
 
 program.parse(process.argv);
@@ -0,0 +1,65 @@
+import { getMediaIdentity } from './parser.js';
+
+function groupByMedia(entries) {
+  const media = new Map();
+  entries.forEach((entry) => {
+    const key = getMediaIdentity(entry.path);
+    if (!media.has(key)) {
+      media.set(key, { path: entry.path, pages: new Set() });
+    }
+    if (entry.resourcePath) {
+      media.get(key).pages.add(entry.resourcePath);
+    }
+  });
+  return media;
+}
+
+/**
+ * Compares the media referenced in the preview and live partitions
+ * @param {Array} previewEntries - Entries extracted from preview content
+ * @param {Array} liveEntries - Entries extracted from live content
+ * @returns {Object} { onlyInPreview, onlyInLive, inBoth } where the lists hold
+ *   { path, pages } for each media
+ */
+export function comparePartitionMedia(previewEntries, liveEntries) {
+  const preview = groupByMedia(previewEntries);
+  const live = groupByMedia(liveEntries);
+
+  const missingFrom = (source, other) => Array.from(source.entries())
+    .filter(([key]) => !other.has(key))
+    .map(([, media]) => ({ path: media.path, pages: [...media.pages].sort() }))
+    .sort((a, b) => a.path.localeCompare(b.path));
+
+  return {
+    onlyInPreview: missingFrom(preview, live),
+    onlyInLive: missingFrom(live, preview),
+    inBoth: Array.from(preview.keys()).filter((key) => live.has(key)).length,
+  };
+}
+
+export function generateComparisonReport(comparison, verbose = false) {
+  const { onlyInPreview, onlyInLive, inBoth } = comparison;
+
+  const formatList = (list) => list.map(({ path, pages }) => {
+    const shown = verbose ? pages : pages.slice(0, 3);
+    const more = pages.length > shown.length ? `, ... (${pages.length - shown.length} more)` : '';
+    return `  ${path}\n    ← ${shown.join(', ') || '(standalone)'}${more}`;
+  }).join('\n');
+
+  let details = '';
+  if (onlyInPreview.length > 0) {
+    details += `\nPreview only (not yet published):\n${formatList(onlyInPreview)}\n`;
+  }
+  if (onlyInLive.length > 0) {
+    details += `\nLive only (removed in preview, not yet republished):\n${formatList(onlyInLive)}\n`;
+  }
+
+  return `
+🔍 Preview vs Live Media Report
+━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+In both partitions:          ${inBoth}
+Preview only:                ${onlyInPreview.length}
+Live only:                   ${onlyInLive.length}
+━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+${details}`;
+}
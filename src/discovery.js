@@ -1,11 +1,13 @@
-import { fetch } from '@adobe/fetch';
+import { adminFetch } from './rate-limiter.js';
 
 const ADMIN_API = 'https://admin.hlx.page';
 
-export async function createBulkStatusJob(org, site, ref, pathFilter, token) {
+export const PARTITIONS = ['preview', 'live'];
+
+export async function createBulkStatusJob(org, site, ref, pathFilter, token, partition = 'preview') {
   const url = `${ADMIN_API}/status/${org}/${site}/${ref}/*`;
 
-  const response = await fetch(url, {
+  const response = await adminFetch(url, {
     method: 'POST',
     headers: {
       Authorization: `token ${token}`,
@@ -13,13 +15,15 @@ export async function createBulkStatusJob(org, site, ref, pathFilter, token) {
     },
     body: JSON.stringify({
       paths: [pathFilter || '/*'],
-      select: ['preview'],
+      select: [partition],
     }),
   });
 
   if (!response.ok) {
     const text = await response.text();
-    throw new Error(`Failed to create job: ${response.status} - ${text}`);
+    const error = new Error(`Failed to create job: ${response.status} - ${text}`);
+    error.status = response.status;
+    throw error;
   }
 
   const data = await response.json();
@@ -34,62 +38,125 @@ export async function createBulkStatusJob(org, site, ref, pathFilter, token) {
   };
 }
 
-export async function pollJobStatus(jobUrl, token, pollInterval, onProgress) {
-  const response = await fetch(jobUrl, {
-    headers: {
-      Authorization: `token ${token}`,
-    },
-  });
-
-  if (!response.ok) {
-    throw new Error(`Failed to fetch job status: ${response.status}`);
+/**
+ * Resolves a bulk status job reference to its URL
+ * @param {string} org - Organization name
+ * @param {string} site - Site (repository) name
+ * @param {string} ref - Git reference
+ * @param {string} job - Job URL or job name (e.g., job-2025-01-01-...)
+ * @returns {{jobId: string, jobUrl: string}} Job name and URL
+ */
+export function resolveJob(org, site, ref, job) {
+  if (/^https?:\/\//.test(job)) {
+    const jobUrl = job.replace(/\/(details)?$/, '');
+    return { jobId: jobUrl.split('/').pop(), jobUrl };
   }
+  return { jobId: job, jobUrl: `${ADMIN_API}/job/${org}/${site}/${ref}/status/${job}` };
+}
 
-  const { state, progress } = await response.json();
+/**
+ * Polls a bulk status job until it completes
+ * @param {string} jobUrl - Job URL
+ * @param {string} token - Auth token
+ * @param {number} pollInterval - Delay between polls (ms)
+ * @param {Function} onProgress - Called with the job progress after each poll
+ * @param {number} timeout - Maximum time to wait (ms), 0 to wait indefinitely
+ * @returns {Promise<string>} Final job state ('completed')
+ */
+export async function pollJobStatus(jobUrl, token, pollInterval, onProgress, timeout = 0) {
+  const deadline = timeout > 0 ? Date.now() + timeout : Infinity;
 
-  if (onProgress && progress) {
-    onProgress(progress);
-  }
+  // Polling loop: Sequential await is intentional, each poll waits for the previous one
+  for (;;) {
+    const response = await adminFetch(jobUrl, {
+      headers: {
+        Authorization: `token ${token}`,
+      },
+    });
+
+    if (!response.ok) {
+      const error = new Error(`Failed to fetch job status: ${response.status}`);
+      error.status = response.status;
+      throw error;
+    }
+
+    const { state, progress } = await response.json();
+
+    if (onProgress && progress) {
+      onProgress(progress);
+    }
+
+    if (state === 'completed') {
+      return state;
+    }
+
+    if (state === 'stopped') {
+      throw new Error('Bulk status job was stopped before completing, its resources are incomplete');
+    }
+
+    if (Date.now() + pollInterval > deadline) {
+      throw new Error(`Bulk status job did not complete within ${timeout / 1000}s`);
+    }
 
-  if (state !== 'completed' && state !== 'stopped') {
     await new Promise((resolve) => {
       setTimeout(resolve, pollInterval);
     });
-    return pollJobStatus(jobUrl, token, pollInterval, onProgress);
   }
+}
 
-  return state;
+/**
+ * Requests cancellation of a running bulk status job
+ * @param {string} jobUrl - Job URL
+ * @param {string} token - Auth token
+ */
+export async function cancelJob(jobUrl, token) {
+  const response = await adminFetch(jobUrl, {
+    method: 'DELETE',
+    headers: {
+      Authorization: `token ${token}`,
+    },
+  });
+
+  // 404/409: the job already finished or was removed, nothing to cancel
+  if (!response.ok && response.status !== 404 && response.status !== 409) {
+    throw new Error(`Failed to cancel job: ${response.status}`);
+  }
 }
 
 export async function getJobDetails(jobUrl, token) {
   const detailsUrl = `${jobUrl}/details`;
-  const response = await fetch(detailsUrl, {
+  const response = await adminFetch(detailsUrl, {
     headers: {
       Authorization: `token ${token}`,
     },
   });
 
   if (!response.ok) {
-    throw new Error(`Failed to fetch job details: ${response.status}`);
+    const error = new Error(`Failed to fetch job details: ${response.status}`);
+    error.status = response.status;
+    throw error;
   }
 
   const { data } = await response.json();
   return data?.resources || [];
 }
 
-export async function fetchMarkdown(org, site, ref, resourcePath, token) {
-  let fetchPath;
+// Markdown document behind a page path: /products/ is /products/index.md, /about is /about.md
+export function getMarkdownPath(resourcePath) {
   if (resourcePath.endsWith('.md')) {
-    fetchPath = resourcePath;
-  } else if (resourcePath.endsWith('/')) {
-    fetchPath = `${resourcePath}index.md`;
-  } else {
-    fetchPath = `${resourcePath}.md`;
+    return resourcePath;
+  }
+  if (resourcePath.endsWith('/')) {
+    return `${resourcePath}index.md`;
   }
+  return `${resourcePath}.md`;
+}
 
-  const url = `${ADMIN_API}/preview/${org}/${site}/${ref}${fetchPath}`;
+export async function fetchMarkdown(org, site, ref, resourcePath, token, partition = 'preview') {
+  const fetchPath = getMarkdownPath(resourcePath);
+  const url = `${ADMIN_API}/${partition}/${org}/${site}/${ref}${fetchPath}`;
 
-  const response = await fetch(url, {
+  const response = await adminFetch(url, {
     headers: {
       Authorization: `token ${token}`,
     },
@@ -102,6 +169,146 @@ export async function fetchMarkdown(org, site, ref, resourcePath, token) {
   return response.text();
 }
 
+async function fetchPreviewJson(url, token) {
+  const response = await adminFetch(url, {
+    headers: {
+      Authorization: `token ${token}`,
+    },
+  });
+
+  if (!response.ok) {
+    throw new Error(`Failed to fetch sheet: ${response.status}`);
+  }
+
+  return response.json();
+}
+
+/**
+ * Fetches a spreadsheet resource as JSON, following its row pagination
+ * @param {string} org - Organization name
+ * @param {string} site - Site (repository) name
+ * @param {string} ref - Git reference
+ * @param {string} resourcePath - Sheet path (e.g., /products.json)
+ * @param {string} token - Auth token
+ * @param {string} partition - Content partition ('preview' or 'live')
+ * @returns {Promise<Object>} Sheet JSON with every row of every sheet
+ */
+export async function fetchSheet(org, site, ref, resourcePath, token, partition = 'preview') {
+  const url = `${ADMIN_API}/${partition}/${org}/${site}/${ref}${resourcePath}`;
+  const sheet = await fetchPreviewJson(url, token);
+
+  const names = sheet[':type'] === 'multi-sheet' ? sheet[':names'] || [] : [null];
+
+  // Sheets are served `limit` rows at a time, so large catalogs need several requests
+  for (const name of names) {
+    const current = name ? sheet[name] : sheet;
+    while (Array.isArray(current?.data) && current.total > current.data.length) {
+      const params = new URLSearchParams({
+        offset: current.data.length,
+        limit: current.limit || 1000,
+      });
+      if (name) {
+        params.set('sheet', name);
+      }
+
+      const next = await fetchPreviewJson(`${url}?${params}`, token);
+      const page = name ? next[name] : next;
+      if (!page?.data?.length) break;
+      current.data.push(...page.data);
+    }
+  }
+
+  return sheet;
+}
+
+const DURATION_UNITS = {
+  m: 60 * 1000,
+  h: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000,
+  w: 7 * 24 * 60 * 60 * 1000,
+};
+
+/**
+ * Parses a --since value: a relative duration (30m, 12h, 7d, 2w) or an ISO date
+ * @param {string} value - Duration or date
+ * @param {number} now - Reference time for relative durations (ms)
+ * @returns {Date} Point in time
+ */
+export function parseSince(value, now = Date.now()) {
+  const duration = /^(\d+)([mhdw])$/.exec(value.trim());
+  if (duration) {
+    return new Date(now - parseInt(duration[1], 10) * DURATION_UNITS[duration[2]]);
+  }
+
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new Error(`Invalid --since value "${value}" (use e.g. 7d, 12h or an ISO date)`);
+  }
+  return date;
+}
+
+// Last-modified time of a resource in a partition, or null if the job didn't report one
+export function getResourceTimestamp(resource, partition = 'preview') {
+  const value = partition === 'live'
+    ? resource.liveLastModified || resource.publishLastModified || resource.live?.lastModified
+    : resource.previewLastModified || resource.preview?.lastModified;
+  if (!value) return null;
+
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Keeps only resources modified in a partition after a point in time
+ * Resources without a timestamp are kept, so nothing is silently skipped
+ * @param {Array} resources - Bulk status resources
+ * @param {Date} since - Cut-off time
+ * @param {string} partition - Content partition ('preview' or 'live')
+ * @returns {Array} Resources modified after the cut-off
+ */
+export function filterResourcesSince(resources, since, partition = 'preview') {
+  return resources.filter((resource) => {
+    const modified = getResourceTimestamp(resource, partition);
+    return !modified || modified > since;
+  });
+}
+
+// Earliest preview or source last-modified time the job reports for a resource, in ms
+export function getEarliestTime(resource) {
+  const times = [
+    getResourceTimestamp(resource, 'preview'),
+    resource.sourceLastModified,
+    resource.lastModified,
+    resource.source?.lastModified,
+  ]
+    .filter(Boolean)
+    .map((value) => new Date(value).getTime())
+    .filter((time) => !Number.isNaN(time));
+  return times.length > 0 ? Math.min(...times) : null;
+}
+
+/**
+ * Sorts resources by page history: earliest preview or last-modified time first, then path
+ * Deduplication gives "ingest" to the first page using a media hash, so this order hands it
+ * to the page that introduced the media. Resources without any timestamp go last.
+ * @param {Array} resources - Bulk status resources (left unmodified)
+ * @returns {Array} Sorted copy of the resources
+ */
+export function sortResourcesByHistory(resources) {
+  const times = new Map(resources.map((resource) => [resource, getEarliestTime(resource)]));
+  return [...resources].sort((a, b) => {
+    const timeA = times.get(a);
+    const timeB = times.get(b);
+    if (timeA !== timeB) {
+      if (timeA === null) return 1;
+      if (timeB === null) return -1;
+      return timeA - timeB;
+    }
+    if (a.path < b.path) return -1;
+    return a.path > b.path ? 1 : 0;
+  });
+}
+
 // Media types supported by the medialog API
 // Note: SVGs and documents (PDF, DOC, etc.) are tracked in content bus (audit logs), not medialog
 const MEDIA_EXTENSIONS = [
@@ -123,6 +330,40 @@ export function isMediaFile(path) {
   return MEDIA_EXTENSIONS.some((ext) => lowerPath.endsWith(ext));
 }
 
+// Configuration and index sheets: the query index repeats every page's image, so scanning
+// it would attribute that media to the index. Only scanned when named explicitly in --sheets.
+const SYSTEM_SHEET_PATTERNS = ['/.helix/*', '/helix-*.json', '*query-index*.json', '/redirects.json', '/metadata.json'];
+
+export function isSheetResource(path) {
+  if (!path) return false;
+  return path.toLowerCase().endsWith('.json');
+}
+
+// Matches a resource path against a pattern where * matches any sequence of characters
+export function matchesPathPattern(path, pattern) {
+  const escaped = pattern.split('*').map((part) => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'));
+  return new RegExp(`^${escaped.join('.*')}$`).test(path);
+}
+
+/**
+ * Decides whether a sheet resource should be scanned for media
+ * @param {Object} resource - Bulk status resource
+ * @param {Array<string>} patterns - Sheet path patterns from --sheets, all sheets if empty
+ * @returns {boolean} True if the sheet should be fetched
+ */
+export function shouldProcessSheet(resource, patterns = []) {
+  const { path } = resource;
+  if (!isSheetResource(path)) {
+    return false;
+  }
+
+  if (patterns.length > 0) {
+    return patterns.some((pattern) => matchesPathPattern(path, pattern));
+  }
+
+  return !SYSTEM_SHEET_PATTERNS.some((pattern) => matchesPathPattern(path, pattern));
+}
+
 export function shouldProcessResource(resource) {
   const { path } = resource;
 
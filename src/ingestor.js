@@ -1,9 +1,42 @@
-import { fetch } from '@adobe/fetch';
 import fs from 'fs/promises';
+import { adminFetch, isThrottled } from './rate-limiter.js';
+import { getMappedUser, DEFAULT_USER_PRIORITY } from './user-map.js';
+import { getSourcePath, getAttributedPath, toMediaLogEntry } from './schema.js';
+import { getMediaIdentity } from './parser.js';
+import { log } from './log.js';
 
 const MEDIALOG_API = 'https://admin.hlx.page/medialog';
 const LOG_API = 'https://admin.hlx.page/log';
 
+// 403 is what the Admin API returns both for missing permissions and, on some routes, for
+// throttling; only its x-error message tells them apart
+const THROTTLE_MESSAGE = /rate.?limit|too many requests|throttl/i;
+
+// 'auth' stops the run, 'throttled' and 'server' are retried, 'rejected' fails the batch
+function classifyMediaLogFailure(status, xError) {
+  if (status === 401) return 'auth';
+  if (status === 403) return THROTTLE_MESSAGE.test(xError) ? 'throttled' : 'auth';
+  if (status === 429) return 'throttled';
+  if (status >= 500) return 'server';
+  return 'rejected';
+}
+
+/**
+ * Sends one batch of entries to the media log API
+ * Throttling, 5xx responses and network errors are retried with backoff, except responses
+ * adminFetch already retried through the shared limiter (429, 503 with Retry-After). Auth
+ * failures are thrown right away with error.code 'AUTH_FAILURE', since every later batch would
+ * fail too.
+ * A 400 blaming the entries' timestamps is thrown with error.code 'TIMESTAMP_REJECTED'.
+ * @param {string} org - Organization name
+ * @param {string} repo - Repository name
+ * @param {string} ref - Git reference
+ * @param {Array} entries - Media log entries (max 10), sent without local fields
+ * @param {string} token - Auth token
+ * @param {boolean} dryRun - Skip the request
+ * @param {number} maxRetries - Retries for throttling, server and network errors
+ * @returns {Promise<Object>} { success, status }
+ */
 export async function sendMediaLogBatch(
   org,
   repo,
@@ -21,32 +54,59 @@ export async function sendMediaLogBatch(
   const sleep = (ms) => new Promise((resolve) => {
     setTimeout(resolve, ms);
   });
+  // 1s, 2s, 4s with jitter, so parallel batches don't retry in lockstep
+  const backoff = (attempt) => sleep(2 ** attempt * 1000 * (0.5 + Math.random()));
 
   // Retry loop: Sequential await is intentional for exponential backoff
   for (let attempt = 0; attempt <= maxRetries; attempt += 1) {
-    const response = await fetch(url, {
-      method: 'POST',
-      headers: {
-        Authorization: `token ${token}`,
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify({ entries }),
-    });
+    let response = null;
+    let networkError = null;
+    try {
+      response = await adminFetch(url, {
+        method: 'POST',
+        headers: {
+          Authorization: `token ${token}`,
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ entries: entries.map(toMediaLogEntry) }),
+      });
+    } catch (err) {
+      networkError = err;
+    }
 
-    if (response.ok) {
+    if (response?.ok) {
       return { success: true, status: response.status };
     }
 
-    // Handle rate limiting (403 or 429) - retry with exponential backoff
-    const isRateLimited = response.status === 403 || response.status === 429;
-    const isRetryable = isRateLimited && attempt < maxRetries;
-    if (isRetryable) {
-      const backoffMs = 2 ** attempt * 1000; // 1s, 2s, 4s
-      await sleep(backoffMs);
+    if (networkError) {
+      if (attempt >= maxRetries) {
+        throw new Error(`Media log API request failed: ${networkError.message}`);
+      }
+      await backoff(attempt);
     } else {
-      // Non-retryable error or max retries exceeded
-      const text = await response.text();
-      throw new Error(`Media log API error: ${response.status} - ${text}`);
+      const xError = response.headers.get('x-error') || '';
+      const failure = classifyMediaLogFailure(response.status, xError);
+      // Retrying what the limiter gave up on would stack a second backoff on top of its own
+      const isRetryable = (failure === 'throttled' || failure === 'server')
+        && !isThrottled(response) && attempt < maxRetries;
+      if (isRetryable) {
+        await response.text();
+        await backoff(attempt);
+      } else {
+        const text = xError || await response.text();
+        const error = new Error(`Media log API error: ${response.status} - ${text}`);
+        error.status = response.status;
+        if (failure === 'auth') {
+          error.code = 'AUTH_FAILURE';
+          error.message = `Media log API rejected the token for ${org}/${repo} `
+            + `(${response.status}${xError ? `: ${xError}` : ''}). It needs the log:write permission.`;
+        } else if (response.status === 400 && /timestamp/i.test(text)
+          && entries.some((entry) => entry.timestamp !== undefined)) {
+          // Callers can resend the batch without the timestamps
+          error.code = 'TIMESTAMP_REJECTED';
+        }
+        throw error;
+      }
     }
   }
 
@@ -57,7 +117,7 @@ export async function sendMediaLogBatch(
 export async function verifyMediaLog(org, repo, ref, token, limit = 10) {
   const url = `${MEDIALOG_API}/${org}/${repo}/${ref}/?since=5m&limit=${limit}`;
 
-  const response = await fetch(url, {
+  const response = await adminFetch(url, {
     headers: {
       Authorization: `token ${token}`,
     },
@@ -74,56 +134,211 @@ export async function verifyMediaLog(org, repo, ref, token, limit = 10) {
   };
 }
 
-export async function saveFailedBatch(batch, error, filename = 'failed-entries.json') {
+/**
+ * Pages through the media log and returns every entry in the lookback window
+ * @param {string} org - Organization name
+ * @param {string} repo - Repository name
+ * @param {string} ref - Git reference
+ * @param {string} token - Auth token
+ * @param {string} since - Relative lookback window (e.g., 30d, 365d)
+ * @param {boolean} verbose - Enable verbose logging
+ * @returns {Promise<Array>} Media log entries
+ */
+export async function fetchMediaLogEntries(org, repo, ref, token, since = '365d', verbose = false) {
+  let url = `${MEDIALOG_API}/${org}/${repo}/${ref}/?since=${since}&limit=1000`;
+  const entries = [];
+  let pageCount = 0;
+
+  if (verbose) {
+    log(`\n  Fetching media log entries from last ${since}`);
+    log(`  API URL: ${url}`);
+  }
+
+  // Pagination loop: Sequential await is intentional for paginated API responses
+  while (url) {
+    const response = await adminFetch(url, {
+      headers: {
+        Authorization: `token ${token}`,
+      },
+    });
+
+    if (!response.ok) {
+      const errorHeader = response.headers.get('x-error');
+      const error = new Error(`Failed to read media log: ${response.status}${errorHeader ? ` - ${errorHeader}` : ''}`);
+      error.status = response.status;
+      throw error;
+    }
+
+    const data = await response.json();
+    entries.push(...(data.entries || []));
+    pageCount += 1;
+    url = data.links?.next || null;
+  }
+
+  if (verbose) {
+    log(`  Read ${entries.length} media log entries across ${pageCount} pages`);
+  }
+
+  return entries;
+}
+
+/**
+ * Key identifying a (media, source page) pair in the media log
+ * @param {Object} entry - Media log entry
+ * @returns {string} Key combining media identity (see getMediaIdentity) and source page path
+ */
+export function getMediaLogKey(entry) {
+  return `${getMediaIdentity(entry.path)}|${getSourcePath(entry) || ''}`;
+}
+
+function getLogTimestamp(entry) {
+  const time = new Date(entry.timestamp).getTime();
+  return Number.isNaN(time) ? null : time;
+}
+
+/**
+ * Replays the media log into its current state: the latest operation for each (media, page)
+ * pair, keeping only pairs whose latest operation is not a removal
+ * @param {Array} logEntries - Entries returned by fetchMediaLogEntries (newest first)
+ * @returns {Map<string, Object>} Latest log entry per getMediaLogKey, for media still in use
+ */
+export function getLoggedMediaState(logEntries) {
+  // Stable sort keeps the API's newest-first order for entries without a timestamp
+  const newestFirst = [...logEntries].sort((a, b) => {
+    const timeA = getLogTimestamp(a);
+    const timeB = getLogTimestamp(b);
+    if (timeA === null || timeB === null) return 0;
+    return timeB - timeA;
+  });
+
+  const latest = new Map();
+  newestFirst
+    .filter((entry) => entry.path)
+    .forEach((entry) => {
+      const key = getMediaLogKey(entry);
+      if (!latest.has(key)) {
+        latest.set(key, entry);
+      }
+    });
+
+  return new Map([...latest].filter(([, entry]) => entry.operation !== 'remove'));
+}
+
+/**
+ * Builds an index of (media, source page) pairs currently in the media log
+ * Pairs whose latest operation is 'remove' are not included, so re-added media is logged again
+ * @param {Array} logEntries - Entries returned by fetchMediaLogEntries
+ * @returns {Set<string>} Set of keys from getMediaLogKey
+ */
+export function buildMediaLogIndex(logEntries) {
+  return new Set(getLoggedMediaState(logEntries).keys());
+}
+
+/**
+ * Reads the failed batch records written by saveFailedBatch
+ * @param {string} filename - Path to the failed entries file
+ * @returns {Promise<Array>} Failed batch records (empty if the file does not exist)
+ */
+export async function loadFailedBatches(filename = 'failed-entries.json') {
+  try {
+    const content = await fs.readFile(filename, 'utf-8');
+    const records = JSON.parse(content);
+    if (!Array.isArray(records)) {
+      throw new Error(`${filename} does not contain a list of failed batches`);
+    }
+    return records;
+  } catch (err) {
+    if (err.code === 'ENOENT') return [];
+    throw err;
+  }
+}
+
+/**
+ * Overwrites the failed entries file, removing it when no records are left
+ * @param {Array} records - Failed batch records to keep
+ * @param {string} filename - Path to the failed entries file
+ */
+export async function writeFailedBatches(records, filename = 'failed-entries.json') {
+  if (records.length === 0) {
+    await fs.rm(filename, { force: true });
+    return;
+  }
+  await fs.writeFile(filename, JSON.stringify(records, null, 2));
+}
+
+// Chained so that parallel --config sites never drop each other's failed batches
+let failedBatchWrites = Promise.resolve();
+
+export function saveFailedBatch(batch, error, target = {}, filename = 'failed-entries.json') {
+  const { org, repo, ref } = target;
   const failedEntry = {
     timestamp: new Date().toISOString(),
     error: error.message,
+    org,
+    repo,
+    ref,
     entries: batch,
   };
 
-  try {
-    let existing = [];
+  failedBatchWrites = failedBatchWrites.then(async () => {
     try {
-      const content = await fs.readFile(filename, 'utf-8');
-      existing = JSON.parse(content);
-    } catch (err) {
-      if (err.code !== 'ENOENT') throw err;
+      const existing = await loadFailedBatches(filename);
+      existing.push(failedEntry);
+      await writeFailedBatches(existing, filename);
+    } catch (saveError) {
+      console.error('Failed to save error batch:', saveError.message);
     }
+  });
+  return failedBatchWrites;
+}
 
-    existing.push(failedEntry);
-    await fs.writeFile(filename, JSON.stringify(existing, null, 2));
-  } catch (saveError) {
-    console.error('Failed to save error batch:', saveError.message);
-  }
+// Strategies for picking a page's user from its preview events
+export const USER_STRATEGIES = ['last', 'first', 'frequent', 'closest'];
+
+export const DEFAULT_LOOKBACK = { since: '30d' };
+
+function getEventTime(event) {
+  const time = event.timestamp ? new Date(event.timestamp).getTime() : NaN;
+  return Number.isNaN(time) ? null : time;
 }
 
 /**
- * Fetches preview log entries and builds a path-to-user map
+ * Fetches preview events from the preview log
  * @param {string} org - Organization name
  * @param {string} repo - Repository name
  * @param {string} ref - Git reference
  * @param {string} token - Auth token
+ * @param {Object} lookback - Log window: { since } (e.g. '30d') or { from, to } (ISO dates)
  * @param {boolean} verbose - Enable verbose logging
- * @returns {Promise<Map<string, string>>} Map of path to last preview user
+ * @returns {Promise<Map<string, Array<Object>>>} Map of path to its preview events
+ *   ({ user, timestamp }), newest first; empty if the log can't be read
  */
-export async function buildPreviewUserMap(org, repo, ref, token, verbose = false) {
-  const userMap = new Map();
+export async function fetchPreviewEvents(
+  org,
+  repo,
+  ref,
+  token,
+  lookback = DEFAULT_LOOKBACK,
+  verbose = false,
+) {
+  const events = new Map();
 
   try {
-    // Query last 30 days of logs using relative time format
-    let url = `${LOG_API}/${org}/${repo}/${ref}/?since=30d&limit=1000`;
+    const params = new URLSearchParams({ ...lookback, limit: 1000 });
+    let url = `${LOG_API}/${org}/${repo}/${ref}/?${params}`;
     let hasMore = true;
     let pageCount = 0;
     let totalEntries = 0;
 
     if (verbose) {
-      console.log('\n  Fetching preview logs from last 30 days');
-      console.log(`  API URL: ${url}`);
+      const window = lookback.since ? `last ${lookback.since}` : `${lookback.from} to ${lookback.to}`;
+      log(`\n  Fetching preview logs from ${window}`);
+      log(`  API URL: ${url}`);
     }
 
     // Pagination loop: Sequential await is intentional for paginated API responses
     while (hasMore) {
-      const response = await fetch(url, {
+      const response = await adminFetch(url, {
         headers: {
           Authorization: `token ${token}`,
         },
@@ -133,18 +348,18 @@ export async function buildPreviewUserMap(org, repo, ref, token, verbose = false
         if (verbose) {
           const responseText = await response.text();
           const errorHeader = response.headers.get('x-error');
-          console.log(`  ✗ Log API error: ${response.status}`);
+          log(`  ✗ Log API error: ${response.status}`);
           if (errorHeader) {
-            console.log(`  Error: ${errorHeader}`);
+            log(`  Error: ${errorHeader}`);
           } else if (responseText) {
-            console.log(`  Response: ${responseText}`);
+            log(`  Response: ${responseText}`);
           }
         }
 
         // Special handling for 403 - permission issue
         if (response.status === 403 && verbose) {
-          console.log(`\n  ⚠️  403 Forbidden - Token lacks 'log:read' permission for ${org}/${repo}`);
-          console.log('  User mapping will not be available\n');
+          log(`\n  ⚠️  403 Forbidden - Token lacks 'log:read' permission for ${org}/${repo}`);
+          log('  User mapping will not be available\n');
         }
         break;
       }
@@ -155,21 +370,21 @@ export async function buildPreviewUserMap(org, repo, ref, token, verbose = false
       totalEntries += entries.length;
 
       if (verbose && pageCount === 1) {
-        console.log(`\n  Fetched ${entries.length} log entries`);
+        log(`\n  Fetched ${entries.length} log entries`);
         if (entries.length > 0) {
           const uniqueRoutes = [...new Set(entries.map((e) => e.route))];
           const entriesWithUser = entries.filter((e) => e.user).length;
-          console.log(`  Unique routes: ${uniqueRoutes.join(', ')}`);
-          console.log(`  Entries with user info: ${entriesWithUser}/${entries.length}`);
+          log(`  Unique routes: ${uniqueRoutes.join(', ')}`);
+          log(`  Entries with user info: ${entriesWithUser}/${entries.length}`);
         }
       }
 
       for (const entry of entries) {
-        if (entry.route === 'preview' && entry.path && entry.user) {
-          // Only set if not already in map (first = most recent)
-          if (!userMap.has(entry.path)) {
-            userMap.set(entry.path, entry.user);
+        if (entry.route === 'preview' && entry.path) {
+          if (!events.has(entry.path)) {
+            events.set(entry.path, []);
           }
+          events.get(entry.path).push({ user: entry.user || null, timestamp: entry.timestamp });
         }
       }
 
@@ -177,104 +392,155 @@ export async function buildPreviewUserMap(org, repo, ref, token, verbose = false
       if (data.links?.next) {
         url = data.links.next;
         if (verbose && pageCount === 1) {
-          console.log('  More pages available, continuing...');
+          log('  More pages available, continuing...');
         }
       } else {
         hasMore = false;
       }
     }
 
+    // Stable sort keeps the API's newest-first order for events without a timestamp
+    events.forEach((pathEvents) => pathEvents.sort((a, b) => {
+      const timeA = getEventTime(a);
+      const timeB = getEventTime(b);
+      if (timeA === null || timeB === null) return 0;
+      return timeB - timeA;
+    }));
+
     if (verbose) {
-      console.log(`  Processed ${totalEntries} total log entries across ${pageCount} pages`);
-      console.log(`  Found preview users for ${userMap.size} unique paths`);
-      if (userMap.size > 0) {
-        const samplePaths = Array.from(userMap.entries()).slice(0, 3);
-        console.log('  Sample mappings:');
-        samplePaths.forEach(([path, user]) => {
-          console.log(`    ${path} -> ${user}`);
-        });
-      }
+      log(`  Processed ${totalEntries} total log entries across ${pageCount} pages`);
+      log(`  Found preview events for ${events.size} unique paths`);
     }
   } catch (error) {
     if (verbose) {
-      console.log(`  ✗ Error building user map: ${error.message}`);
+      log(`  ✗ Error reading preview log: ${error.message}`);
+    }
+  }
+
+  return events;
+}
+
+/**
+ * Picks a user from the preview events of one path
+ * - last: the most recent previewer
+ * - first: the earliest previewer in the lookback window
+ * - frequent: whoever previewed most often (ties go to the more recent previewer)
+ * - closest: the previewer closest in time to appearedAt, when the media first appeared
+ *   (falls back to last without a time to compare with)
+ * @param {Array<Object>} events - Preview events from fetchPreviewEvents, newest first
+ * @param {string} strategy - One of USER_STRATEGIES
+ * @param {number|null} appearedAt - When the media first appeared (ms), for 'closest'
+ * @returns {string|null} User, or null if no event names one
+ */
+export function pickPreviewUser(events = [], strategy = 'last', appearedAt = null) {
+  const withUser = events.filter((event) => event.user);
+  if (withUser.length === 0) return null;
+
+  if (strategy === 'first') {
+    return withUser[withUser.length - 1].user;
+  }
+
+  if (strategy === 'frequent') {
+    const counts = new Map();
+    withUser.forEach((event) => counts.set(event.user, (counts.get(event.user) || 0) + 1));
+    // Map keeps insertion order (newest first), and only a higher count replaces the pick
+    let picked = null;
+    counts.forEach((count, user) => {
+      if (!picked || count > counts.get(picked)) picked = user;
+    });
+    return picked;
+  }
+
+  if (strategy === 'closest' && appearedAt !== null) {
+    const timed = withUser.filter((event) => getEventTime(event) !== null);
+    if (timed.length > 0) {
+      const distance = (event) => Math.abs(getEventTime(event) - appearedAt);
+      return timed.reduce((best, event) => (distance(event) < distance(best) ? event : best)).user;
     }
   }
 
+  return withUser[0].user;
+}
+
+/**
+ * Picks a user for each path that has preview events
+ * @param {Map<string, Array<Object>>} previewEvents - Map from fetchPreviewEvents
+ * @param {string} strategy - One of USER_STRATEGIES ('closest' acts as 'last' here)
+ * @returns {Map<string, string>} Map of path to user
+ */
+export function getPreviewUsers(previewEvents, strategy = 'last') {
+  const userMap = new Map();
+  previewEvents.forEach((events, path) => {
+    const user = pickPreviewUser(events, strategy);
+    if (user) {
+      userMap.set(path, user);
+    }
+  });
   return userMap;
 }
 
 /**
- * Enriches media log entries with user information from preview logs
- * @param {Array} entries - Media log entries
+ * Fetches preview log entries and builds a path-to-user map
  * @param {string} org - Organization name
  * @param {string} repo - Repository name
  * @param {string} ref - Git reference
  * @param {string} token - Auth token
- * @param {string} fallbackUser - Optional fallback user (from --user flag)
+ * @param {Object} attribution - { strategy, lookback } (defaults: last previewer, 30 days)
  * @param {boolean} verbose - Enable verbose logging
- * @returns {Promise<Array>} Enriched entries with user information
+ * @returns {Promise<Map<string, string>>} Map of path to user
  */
-export async function enrichEntriesWithUser(
-  entries,
+export async function buildPreviewUserMap(
   org,
   repo,
   ref,
   token,
-  fallbackUser,
+  attribution = {},
   verbose = false,
 ) {
-  // Build map of path -> user from preview logs (single bulk fetch)
-  const previewUserMap = await buildPreviewUserMap(org, repo, ref, token, verbose);
-
-  let foundUsers = 0;
-  let usedFallback = 0;
-  let noUser = 0;
-
-  const enrichedEntries = entries.map((entry, index) => {
-    const enriched = { ...entry };
-
-    // If entry has resourcePath, try to get the user who last previewed that page
-    if (entry.resourcePath) {
-      // resourcePath is already just the path (e.g., /drafts/page.md)
-      const sourcePath = entry.resourcePath;
-      const user = previewUserMap.get(sourcePath);
-
-      if (verbose && index < 3) {
-        console.log(`\n  Entry ${index + 1}:`);
-        console.log(`    resourcePath: ${entry.resourcePath}`);
-        console.log(`    found user: ${user || 'none'}`);
-        console.log(`    fallback user: ${fallbackUser || 'none'}`);
-      }
+  const { strategy, lookback } = attribution;
+  const previewEvents = await fetchPreviewEvents(org, repo, ref, token, lookback, verbose);
+  const userMap = getPreviewUsers(previewEvents, strategy);
+
+  if (verbose && userMap.size > 0) {
+    log(`  Found preview users for ${userMap.size} unique paths`);
+    log('  Sample mappings:');
+    Array.from(userMap.entries()).slice(0, 3).forEach(([path, user]) => {
+      log(`    ${path} -> ${user}`);
+    });
+  }
 
-      if (user) {
-        enriched.user = user;
-        foundUsers += 1;
-      } else if (fallbackUser) {
-        enriched.user = fallbackUser;
-        usedFallback += 1;
-      } else {
-        noUser += 1;
-      }
-    } else if (fallbackUser) {
-      // No resourcePath (standalone media), use fallback user
-      enriched.user = fallbackUser;
-      usedFallback += 1;
-    } else {
-      noUser += 1;
-    }
+  return userMap;
+}
 
-    return enriched;
-  });
+/**
+ * Adds user information to one media log entry from the first source in the priority order
+ * that has one: the user map, the preview events of its source page (of the media path itself
+ * for standalone media), or the fallback user
+ * @param {Object} entry - Media log entry
+ * @param {Map<string, Array<Object>>|null} previewEvents - Map from fetchPreviewEvents
+ * @param {Object} attribution - { strategy, fallbackUser, appearedAt, userMap, priority }
+ *   (see pickPreviewUser, loadUserMap and parseUserPriority)
+ * @returns {{entry: Object, source: string}} Enriched copy of the entry, and where its user
+ *   came from ('map', 'preview', 'fallback' or 'none')
+ */
+export function enrichEntryWithUser(entry, previewEvents, attribution = {}) {
+  const {
+    strategy, fallbackUser, appearedAt = null, userMap = null, priority = DEFAULT_USER_PRIORITY,
+  } = attribution;
+  const path = getAttributedPath(entry);
+  const lookups = {
+    map: () => getMappedUser(userMap, path),
+    preview: () => pickPreviewUser(previewEvents?.get(path), strategy, appearedAt),
+    fallback: () => fallbackUser || null,
+  };
 
-  if (verbose) {
-    console.log('\n  User enrichment summary:');
-    console.log(`    Found from preview logs: ${foundUsers}`);
-    console.log(`    Used fallback user: ${usedFallback}`);
-    console.log(`    No user assigned: ${noUser}`);
+  for (const source of priority) {
+    const user = lookups[source]();
+    if (user) {
+      return { entry: { ...entry, user }, source };
+    }
   }
-
-  return enrichedEntries;
+  return { entry: { ...entry }, source: 'none' };
 }
 
 export function generateReport(stats) {
@@ -286,16 +552,73 @@ export function generateReport(stats) {
     totalMediaFound,
     batchesSent,
     errors,
+    alreadyPresent,
+    newEntries,
+    sheetsProcessed,
+    mediaFromSheets,
+    unchangedSkipped,
+    removals,
+    timestampsFromJob,
+    timestampsFromPreviewLog,
+    timestampsFromFiles,
+    timestampsMissing,
+    timestampsDropped,
+    invalidEntries,
+    mediaProbed,
+    probeCacheHits,
+    probeFailures,
+    dimensionsProbed,
+    contentTypesCorrected,
+    mediaDigested,
+    digestFailures,
+    duplicateGroups,
   } = stats;
 
+  const invalidLine = invalidEntries ? `
+Invalid entries (not sent):  ${invalidEntries}` : '';
+
+  const removalLine = removals === undefined ? '' : `
+Removals (reconcile):        ${removals}`;
+
+  const unchangedLine = unchangedSkipped === undefined ? '' : `
+Unchanged (skipped):         ${unchangedSkipped}`;
+
+  const sheetLines = sheetsProcessed === undefined ? '' : `
+Sheets processed:            ${sheetsProcessed}
+Media from sheets:           ${mediaFromSheets}`;
+
+  const existingLines = alreadyPresent === undefined ? '' : `
+Already in media log:        ${alreadyPresent}
+New entries:                 ${newEntries}`;
+
+  // Where the original timestamps of --timestamps came from
+  const timestampLines = timestampsFromJob === undefined ? '' : `
+Timestamps from job:         ${timestampsFromJob}
+Timestamps from preview log: ${timestampsFromPreviewLog}
+Timestamps from files:       ${timestampsFromFiles}
+Without timestamp:           ${timestampsMissing}${timestampsDropped ? `
+Timestamps rejected by API:  ${timestampsDropped}` : ''}`;
+
+  const probeLines = mediaProbed === undefined ? '' : `
+Media probed:                ${mediaProbed}
+Probe cache hits:            ${probeCacheHits}
+Probe failures:              ${probeFailures}
+Dimensions from probe:       ${dimensionsProbed}
+Content types corrected:     ${contentTypesCorrected}`;
+
+  const digestLines = mediaDigested === undefined ? '' : `
+Media downloaded for dedup:  ${mediaDigested}
+Download failures:           ${digestFailures}
+Duplicate content groups:    ${duplicateGroups}`;
+
   return `
 📊 Media Log Ingestion Report
 ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
-Resources discovered:        ${pagesDiscovered}
+Resources discovered:        ${pagesDiscovered}${unchangedLine}
 Markdown pages processed:    ${markdownPagesProcessed}
 Standalone media found:      ${standaloneMediaFound}
-Media from markdown:         ${mediaFromMarkdown}
-Total media logged:          ${totalMediaFound}
+Media from markdown:         ${mediaFromMarkdown}${sheetLines}
+Total media logged:          ${totalMediaFound}${existingLines}${removalLine}${invalidLine}${timestampLines}${probeLines}${digestLines}
 Batches sent:                ${batchesSent}
 Errors:                      ${errors}
 ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
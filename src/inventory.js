@@ -0,0 +1,80 @@
+import fs from 'fs/promises';
+import { extractMediaHash } from './parser.js';
+import { getSourcePath } from './schema.js';
+
+const CSV_COLUMNS = [
+  'status', 'path', 'hash', 'contentType', 'width', 'height',
+  'sourcePage', 'operation', 'user', 'timestamp', 'timestampSource', 'error',
+];
+
+function toInventoryRow(entry) {
+  return {
+    path: entry.path,
+    hash: extractMediaHash(entry.path),
+    contentType: entry.contentType || null,
+    width: entry.width || null,
+    height: entry.height || null,
+    sourcePage: getSourcePath(entry),
+    operation: entry.operation,
+    user: entry.user || null,
+    timestamp: entry.timestamp ? new Date(entry.timestamp).toISOString() : null,
+    timestampSource: entry.timestampSource || null,
+  };
+}
+
+function escapeCsv(value) {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Builds the media inventory of a run
+ * @param {Array} entries - Deduplicated (and enriched) media entries
+ * @param {Array<string>} pagesWithoutMedia - Pages/sheets that were read but reference no media
+ * @param {Array<Object>} failedResources - { path, error } for resources that could not be read
+ * @param {Object} meta - Run details ({ org, repo, ref, partition, dryRun })
+ * @returns {Object} Inventory
+ */
+export function buildInventory(entries, pagesWithoutMedia, failedResources, meta) {
+  return {
+    ...meta,
+    generatedAt: new Date().toISOString(),
+    media: entries.map(toInventoryRow),
+    pagesWithoutMedia: [...pagesWithoutMedia].sort(),
+    failedResources: [...failedResources].sort((a, b) => a.path.localeCompare(b.path)),
+  };
+}
+
+export function formatInventoryCsv(inventory) {
+  const rows = [
+    ...inventory.media.map((row) => ({ status: 'media', ...row })),
+    ...inventory.pagesWithoutMedia.map((path) => ({ status: 'no-media', sourcePage: path })),
+    ...inventory.failedResources.map(({ path, error }) => ({
+      status: 'failed', sourcePage: path, error,
+    })),
+  ];
+
+  const lines = [
+    CSV_COLUMNS.join(','),
+    ...rows.map((row) => CSV_COLUMNS.map((column) => escapeCsv(row[column])).join(',')),
+  ];
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Writes the inventory as JSON or CSV
+ * @param {Object} inventory - Inventory from buildInventory
+ * @param {string} filename - Output file
+ * @param {string} format - 'json' or 'csv' (defaults to the file extension)
+ * @returns {Promise<string>} The format that was written
+ */
+export async function writeInventory(inventory, filename, format) {
+  const resolvedFormat = format || (filename.toLowerCase().endsWith('.csv') ? 'csv' : 'json');
+  const content = resolvedFormat === 'csv'
+    ? formatInventoryCsv(inventory)
+    : `${JSON.stringify(inventory, null, 2)}\n`;
+
+  await fs.writeFile(filename, content);
+  return resolvedFormat;
+}
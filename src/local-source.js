@@ -0,0 +1,88 @@
+import fs from 'fs/promises';
+import { join, relative, sep } from 'path';
+import {
+  getMarkdownPath, isMediaFile, isSheetResource, matchesPathPattern,
+} from './discovery.js';
+
+// Walks a directory, skipping hidden files and folders such as .git
+async function listFiles(dir) {
+  const dirents = await fs.readdir(dir, { withFileTypes: true });
+  const files = await Promise.all(dirents
+    .filter((dirent) => !dirent.name.startsWith('.'))
+    .map((dirent) => {
+      const fullPath = join(dir, dirent.name);
+      if (dirent.isDirectory()) return listFiles(fullPath);
+      return dirent.isFile() ? [fullPath] : [];
+    }));
+  return files.flat();
+}
+
+// Inverse of getMarkdownPath: /products/index.md is /products/, /about.md is /about
+function toResourcePath(relativePath) {
+  const path = `/${relativePath.split(sep).join('/')}`;
+  if (!path.endsWith('.md')) {
+    return path;
+  }
+  if (path === '/index.md' || path.endsWith('/index.md')) {
+    return path.slice(0, -'index.md'.length);
+  }
+  return path.slice(0, -'.md'.length);
+}
+
+/**
+ * Lists the pages, sheets and media of a local content directory as bulk status resources
+ * File modification times stand in for preview times, so --since works on local content
+ * @param {string} dir - Content directory (its root maps to /)
+ * @param {string} pathFilter - Path filter (e.g., /products/*)
+ * @returns {Promise<Array>} Resources ({ path, previewLastModified }) sorted by path
+ */
+export async function listLocalResources(dir, pathFilter = '/*') {
+  let files;
+  try {
+    files = await listFiles(dir);
+  } catch (err) {
+    throw new Error(`Failed to read source directory ${dir}: ${err.message}`);
+  }
+
+  const resources = await Promise.all(files
+    .map((file) => ({ file, path: toResourcePath(relative(dir, file)) }))
+    .filter(({ file, path }) => (file.endsWith('.md') || isSheetResource(path) || isMediaFile(path))
+      && matchesPathPattern(path, pathFilter))
+    .map(async ({ file, path }) => {
+      const { mtime } = await fs.stat(file);
+      return { path, previewLastModified: mtime.toISOString() };
+    }));
+
+  return resources.sort((a, b) => a.path.localeCompare(b.path));
+}
+
+/**
+ * Reads the markdown of a page from a local content directory
+ * @param {string} dir - Content directory
+ * @param {string} resourcePath - Page path (e.g., /products/)
+ * @returns {Promise<string>} Markdown content
+ */
+export async function readLocalMarkdown(dir, resourcePath) {
+  const file = join(dir, ...getMarkdownPath(resourcePath).split('/'));
+  try {
+    return await fs.readFile(file, 'utf-8');
+  } catch (err) {
+    throw new Error(`Failed to read markdown ${file}: ${err.code || err.message}`);
+  }
+}
+
+/**
+ * Reads an exported sheet from a local content directory
+ * Exports hold every row, so unlike fetchSheet there is no pagination to follow
+ * @param {string} dir - Content directory
+ * @param {string} resourcePath - Sheet path (e.g., /products.json)
+ * @returns {Promise<Object>} Sheet JSON
+ */
+export async function readLocalSheet(dir, resourcePath) {
+  const file = join(dir, ...resourcePath.split('/'));
+  try {
+    return JSON.parse(await fs.readFile(file, 'utf-8'));
+  } catch (err) {
+    throw new Error(`Failed to read sheet ${file}: ${err.code || err.message}`);
+  }
+}
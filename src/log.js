@@ -0,0 +1,19 @@
+import { format } from 'util';
+
+// Progress output goes to stdout, unless --json reserves stdout for the result document
+let stream = process.stdout;
+
+/**
+ * Sends progress output to stderr from now on
+ */
+export function logToStderr() {
+  stream = process.stderr;
+}
+
+/**
+ * Writes a line of progress output, formatted like console.log
+ * @param {...*} args - Values to print
+ */
+export function log(...args) {
+  stream.write(`${format(...args)}\n`);
+}
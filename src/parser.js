@@ -1,11 +1,9 @@
-const VIDEO_EXTENSIONS = ['.mp4', '.mov', '.webm', '.avi', '.m4v', '.mkv'];
+import { fromMarkdown } from 'mdast-util-from-markdown';
+import { visit } from 'unist-util-visit';
+import { Parser } from 'htmlparser2';
+import { getPageUrl, resolveMediaUrl } from './schema.js';
 
-// Matches: ![alt](url "title") or ![alt](url)
-// Group 1: alt text, Group 2: url, Group 3: optional title
-const MARKDOWN_IMAGE_INLINE_REGEX = /!\[([^\]]*)\]\(([^\s"')]+)(?:\s+"([^"]+)")?\)/g;
-const MARKDOWN_IMAGE_REFERENCE_REGEX = /!\[([^\]]*)\]\[([^\]]+)\]/g;
-const MARKDOWN_REFERENCE_DEFINITION_REGEX = /^\[([^\]]+)\]:\s*([^\s"]+)(?:\s+"([^"]+)")?$/gm;
-const MARKDOWN_LINK_REGEX = /\[([^\]]*)\]\(([^\s"')]+)(?:\s+"([^"]+)")?\)/g;
+const VIDEO_EXTENSIONS = ['.mp4', '.mov', '.webm', '.avi', '.m4v', '.mkv'];
 
 // Content type mappings for medialog API
 const CONTENT_TYPE_MAP = {
@@ -25,10 +23,21 @@ const CONTENT_TYPE_MAP = {
   '.mkv': 'video/x-matroska',
 };
 
+// Extension of the last segment of a URL's path (e.g. '.jpg'); query and fragment don't count
+function getPathExtension(url) {
+  let pathname;
+  try {
+    pathname = new URL(url, 'https://localhost/').pathname;
+  } catch (err) {
+    return null;
+  }
+  const name = pathname.slice(pathname.lastIndexOf('/') + 1).toLowerCase();
+  const dot = name.lastIndexOf('.');
+  return dot === -1 ? null : name.slice(dot);
+}
+
 export function getContentType(url) {
-  const lowerUrl = url.toLowerCase();
-  const ext = Object.keys(CONTENT_TYPE_MAP).find((e) => lowerUrl.includes(e));
-  return ext ? CONTENT_TYPE_MAP[ext] : null;
+  return CONTENT_TYPE_MAP[getPathExtension(url)] || null;
 }
 
 // Extract width and height from URL fragment (#width=X&height=Y)
@@ -49,90 +58,271 @@ export function extractMediaHash(url) {
   return match ? match[1] : null;
 }
 
+// The only fragment media URLs keep: the dimensions the media bus appends
+const DIMENSIONS_FRAGMENT = /^#width=\d+&height=\d+$/;
+
+/**
+ * Normalizes a media URL as referenced on a page
+ * Resolves it against the page, drops delivery query parameters (?width=750&format=webply...)
+ * so every rendition resolves to the same media, and drops any fragment but the dimensions.
+ * @param {string} url - Media URL from the content (./media_1.png, /media_1.png or absolute)
+ * @param {string} pageUrl - Full URL of the referencing page
+ * @returns {string} Absolute URL, or the URL unchanged if it can't be parsed
+ */
+export function normalizeMediaUrl(url, pageUrl) {
+  let parsed;
+  try {
+    parsed = new URL(url, pageUrl);
+  } catch (err) {
+    return url;
+  }
+  parsed.search = '';
+  if (!DIMENSIONS_FRAGMENT.test(parsed.hash)) {
+    parsed.hash = '';
+  }
+  return parsed.href;
+}
+
+/**
+ * Canonical identity of a media, used to deduplicate references on a page and across pages
+ * Media bus URLs are identified by their hash, whatever host or rendition they are served
+ * from; any other media by its URL without query or fragment.
+ * @param {string} url - Absolute media URL
+ * @returns {string} Identity (e.g., media_abc123 or https://cdn.example.com/hero.jpg)
+ */
+export function getMediaIdentity(url) {
+  const hash = extractMediaHash(url);
+  if (hash) {
+    return `media_${hash}`;
+  }
+  try {
+    const parsed = new URL(url);
+    parsed.search = '';
+    parsed.hash = '';
+    return parsed.href;
+  } catch (err) {
+    return url;
+  }
+}
+
+/**
+ * Identity an entry is deduplicated by: its content digest when --content-dedup computed one
+ * (media without a hash in their URL), else the identity of its URL
+ * @param {Object} entry - Media entry, with contentDigest if it was downloaded
+ * @returns {string} Identity (e.g., sha256_9f86d0... or media_abc123)
+ */
+export function getEntryIdentity(entry) {
+  return entry.contentDigest ? `sha256_${entry.contentDigest}` : getMediaIdentity(entry.path);
+}
+
 // Only videos go to medialog from plain links. PDFs/docs/SVGs use Content Delivery, not Media Bus.
 function isVideoMedia(url) {
-  const lowerUrl = url.toLowerCase();
-  return VIDEO_EXTENSIONS.some((ext) => lowerUrl.includes(ext));
+  return VIDEO_EXTENSIONS.includes(getPathExtension(url));
 }
 
-export function extractMediaReferences(markdown, sourcePath, org, repo) {
-  const mediaRefs = [];
-  const seen = new Set();
-  const references = new Map();
+// Splits a srcset attribute into its candidate URLs, dropping width/density descriptors
+function parseSrcset(srcset) {
+  return srcset
+    .split(',')
+    .map((candidate) => candidate.trim().split(/\s+/)[0])
+    .filter(Boolean);
+}
 
-  const addMedia = (path) => {
-    if (seen.has(path)) return;
-    seen.add(path);
-
-    // Operation types: 'ingest' (initial add), 'reuse' (used again), 'remove' (deleted)
-    // For retroactive backfill, we use 'ingest'
-    const entry = {
-      owner: org,
-      repo,
-      operation: 'ingest',
-      path,
-      resourcePath: sourcePath,
-    };
+// Collects media from raw HTML in document order: <img> src/srcset, <source> src/srcset
+// (inside <picture> or <video>) and <video> src/poster, each with its alt and title attributes
+function extractHtmlMedia(html) {
+  const media = [];
 
-    // Add content type if we can determine it
-    const contentType = getContentType(path);
-    if (contentType) {
-      entry.contentType = contentType;
-    }
+  const parser = new Parser({
+    onopentag(name, attributes) {
+      const candidates = [];
+      if (name === 'img' || name === 'source') {
+        if (attributes.src) candidates.push(attributes.src);
+        if (attributes.srcset) candidates.push(...parseSrcset(attributes.srcset));
+      } else if (name === 'video') {
+        if (attributes.src) candidates.push(attributes.src);
+        if (attributes.poster) candidates.push(attributes.poster);
+      }
 
-    // Extract width and height from URL fragment if present
-    const dimensions = extractDimensions(path);
-    if (dimensions) {
-      entry.width = dimensions.width;
-      entry.height = dimensions.height;
-    }
+      candidates
+        .map((url) => url.trim())
+        .filter((url) => url && !url.startsWith('data:'))
+        .forEach((url) => media.push({
+          url,
+          alt: name === 'img' ? attributes.alt : undefined,
+          title: attributes.title,
+        }));
+    },
+  }, { decodeEntities: true });
 
-    mediaRefs.push(entry);
+  parser.write(html);
+  parser.end();
+
+  return media;
+}
+
+// Adds the alt and title a reference carries, unless an earlier reference already set them
+function withDescriptions(entry, { alt, title }) {
+  return {
+    ...entry,
+    ...(!entry.alt && alt?.trim() && { alt: alt.trim() }),
+    ...(!entry.title && title?.trim() && { title: title.trim() }),
   };
+}
 
-  // Extract reference definitions
-  let match = MARKDOWN_REFERENCE_DEFINITION_REGEX.exec(markdown);
-  while (match !== null) {
-    const [, refId, url, title] = match;
-    references.set(refId.toLowerCase(), { url: url.trim(), title });
-    match = MARKDOWN_REFERENCE_DEFINITION_REGEX.exec(markdown);
+// Media entry for a reference on a page: path is the normalized media URL, and resourcePath
+// (not sent) keeps the page's path for attribution, dedup and reconcile. sourceUrl (not sent)
+// keeps the query of a URL that needs it to be downloaded, such as a signed URL.
+function createMediaEntry(url, sourcePath, site) {
+  const { org, repo, ref } = site;
+  const pageUrl = getPageUrl(org, repo, ref, sourcePath);
+  const path = normalizeMediaUrl(url, pageUrl);
+  const sourceUrl = resolveMediaUrl(url, pageUrl).split('#')[0];
+
+  // Operation types: 'ingest' (initial add), 'reuse' (used again), 'remove' (deleted)
+  // For retroactive backfill, we use 'ingest'
+  const entry = {
+    owner: org,
+    repo,
+    operation: 'ingest',
+    path,
+    contentSourceType: 'markup',
+    contentSourcePath: pageUrl,
+    resourcePath: sourcePath,
+  };
+  if (sourceUrl !== path.split('#')[0]) {
+    entry.sourceUrl = sourceUrl;
   }
 
-  // Extract inline images
-  MARKDOWN_IMAGE_INLINE_REGEX.lastIndex = 0;
-  match = MARKDOWN_IMAGE_INLINE_REGEX.exec(markdown);
-  while (match !== null) {
-    const [, , url] = match;
-    if (url && url.trim()) {
-      addMedia(url);
-    }
-    match = MARKDOWN_IMAGE_INLINE_REGEX.exec(markdown);
+  // Add content type if we can determine it
+  const contentType = getContentType(path);
+  if (contentType) {
+    entry.contentType = contentType;
   }
 
-  // Extract reference-style images
-  MARKDOWN_IMAGE_REFERENCE_REGEX.lastIndex = 0;
-  match = MARKDOWN_IMAGE_REFERENCE_REGEX.exec(markdown);
-  while (match !== null) {
-    const [, , refId] = match;
-    const reference = references.get(refId.toLowerCase());
-    if (reference) {
-      addMedia(reference.url);
-    }
-    match = MARKDOWN_IMAGE_REFERENCE_REGEX.exec(markdown);
+  // Extract width and height from URL fragment if present
+  const dimensions = extractDimensions(path);
+  if (dimensions) {
+    entry.width = dimensions.width;
+    entry.height = dimensions.height;
   }
 
-  // Extract video links only (images are from ![]() above). PDFs/docs/SVGs are Content Delivery, not medialog.
-  MARKDOWN_LINK_REGEX.lastIndex = 0;
-  match = MARKDOWN_LINK_REGEX.exec(markdown);
-  while (match !== null) {
-    const [, , url] = match;
-    if (isVideoMedia(url)) {
-      addMedia(url);
-    }
-    match = MARKDOWN_LINK_REGEX.exec(markdown);
+  return entry;
+}
+
+// Adds an entry to a page's media, keyed by identity. A repeated media keeps its first URL
+// unless a later one carries the dimensions, and the first alt and title found.
+function addReference(mediaRefs, entry, descriptions = {}) {
+  const identity = getMediaIdentity(entry.path);
+  const existing = mediaRefs.get(identity);
+  let merged = entry;
+  if (existing) {
+    merged = !existing.width && entry.width
+      ? {
+        ...existing,
+        path: entry.path,
+        sourceUrl: entry.sourceUrl,
+        width: entry.width,
+        height: entry.height,
+      }
+      : existing;
   }
+  mediaRefs.set(identity, withDescriptions(merged, descriptions));
+}
+
+/**
+ * Extracts media references from a page's markdown
+ * @param {string} markdown - Page markdown
+ * @param {string} sourcePath - Page resource path (e.g., /products/page)
+ * @param {Object} site - Site the page belongs to ({ org, repo, ref })
+ * @returns {Array} Media log entries, one per distinct media (see getMediaIdentity), with alt
+ *   and title if any
+ */
+export function extractMediaReferences(markdown, sourcePath, site) {
+  const mediaRefs = new Map();
+  const references = new Map();
+
+  const addMedia = ({ url, ...descriptions }) => {
+    addReference(mediaRefs, createMediaEntry(url, sourcePath, site), descriptions);
+  };
+
+  // Parse as CommonMark: handles angle-bracket URLs, any title quoting, nested brackets in alt
+  // text and indented/multi-line definitions, and never looks inside code blocks or code spans
+  const tree = fromMarkdown(markdown);
+
+  // Collect reference definitions first, since references may precede their definition
+  visit(tree, 'definition', (node) => {
+    // Per CommonMark, the first definition of a label wins
+    if (!references.has(node.identifier)) {
+      references.set(node.identifier, { url: node.url, title: node.title });
+    }
+  });
+
+  // Reference nodes take their URL and title from the definition
+  const resolveTarget = (node) => {
+    if (node.type === 'imageReference' || node.type === 'linkReference') {
+      return references.get(node.identifier) || {};
+    }
+    return node;
+  };
+
+  visit(tree, (node) => {
+    // Inline HTML (e.g., content migrated from other systems) can carry <picture>/<video> markup
+    if (node.type === 'html') {
+      extractHtmlMedia(node.value).forEach(addMedia);
+      return;
+    }
+
+    const isImage = node.type === 'image' || node.type === 'imageReference';
+    const isLink = node.type === 'link' || node.type === 'linkReference';
+    if (!isImage && !isLink) return;
+
+    const { url: target, title } = resolveTarget(node);
+    const url = target?.trim();
+    if (!url || url.startsWith('data:')) return;
+
+    // Links (including autolinks) only count for videos. PDFs/docs/SVGs are Content Delivery
+    if (isImage || isVideoMedia(url)) {
+      addMedia({ url, alt: isImage ? node.alt : undefined, title });
+    }
+  });
+
+  return [...mediaRefs.values()];
+}
+
+// Media bus URLs inside a cell value: absolute, root-relative or ./relative media_<hash>.<ext>
+const SHEET_MEDIA_URL_REGEX = /[^\s"'<>(),]*media_[a-f0-9]+\.[a-z0-9]+[^\s"'<>(),]*/gi;
+
+/**
+ * Extracts media bus references from a spreadsheet (.json sheet)
+ * @param {Object} sheet - Sheet JSON, single-sheet ({ data }) or multi-sheet ({ ':names', ... })
+ * @param {string} sourcePath - Sheet resource path (e.g., /products.json)
+ * @param {Object} site - Site the sheet belongs to ({ org, repo, ref })
+ * @param {Array<string>} columns - Only scan these columns (case-insensitive), all if empty
+ * @returns {Array} Media log entries with the sheet as their source
+ */
+export function extractSheetMediaReferences(sheet, sourcePath, site, columns = []) {
+  const mediaRefs = new Map();
+  const wantedColumns = new Set(columns.map((column) => column.toLowerCase()));
+
+  const sheets = sheet[':type'] === 'multi-sheet'
+    ? (sheet[':names'] || []).map((name) => sheet[name])
+    : [sheet];
+
+  sheets
+    .flatMap((s) => s?.data || [])
+    .forEach((row) => {
+      Object.entries(row).forEach(([column, value]) => {
+        if (typeof value !== 'string') return;
+        if (wantedColumns.size > 0 && !wantedColumns.has(column.toLowerCase())) return;
+
+        (value.match(SHEET_MEDIA_URL_REGEX) || [])
+          .filter((url) => getContentType(url))
+          .forEach((url) => addReference(mediaRefs, createMediaEntry(url, sourcePath, site)));
+      });
+    });
 
-  return mediaRefs;
+  return [...mediaRefs.values()];
 }
 
 export function batchEntries(entries, batchSize = 10) {
@@ -0,0 +1,356 @@
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import { fetch, timeoutSignal } from '@adobe/fetch';
+
+export const DEFAULT_PROBE_CACHE_FILE = 'media-probe-cache.json';
+
+// Image headers sit in the first bytes; videos only have their metadata this early when the
+// file was written for streaming (moov before mdat, WebM tracks before the clusters)
+const PROBE_BYTES = 64 * 1024;
+
+const PROBE_TIMEOUT_MS = 15000;
+
+// Digests read the whole file, videos included
+const DIGEST_TIMEOUT_MS = 120000;
+
+function probePng(bytes) {
+  if (bytes.length < 24 || bytes.readUInt32BE(0) !== 0x89504e47
+    || bytes.toString('latin1', 12, 16) !== 'IHDR') {
+    return null;
+  }
+  return { contentType: 'image/png', width: bytes.readUInt32BE(16), height: bytes.readUInt32BE(20) };
+}
+
+function probeGif(bytes) {
+  const signature = bytes.toString('latin1', 0, 6);
+  if (bytes.length < 10 || (signature !== 'GIF87a' && signature !== 'GIF89a')) return null;
+  return { contentType: 'image/gif', width: bytes.readUInt16LE(6), height: bytes.readUInt16LE(8) };
+}
+
+// Walks the JPEG segments up to the start-of-frame marker that holds the image size
+function probeJpeg(bytes) {
+  if (bytes.length < 3 || bytes[0] !== 0xff || bytes[1] !== 0xd8) return null;
+
+  let offset = 2;
+  while (offset + 9 <= bytes.length && bytes[offset] === 0xff) {
+    const marker = bytes[offset + 1];
+    if (marker === 0xff) {
+      // Fill byte before a marker
+      offset += 1;
+    } else if (marker === 0x01 || (marker >= 0xd0 && marker <= 0xd8)) {
+      // Markers without a length
+      offset += 2;
+    } else if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) {
+      // SOF0 to SOF15 (C4, C8 and CC are other segments)
+      return {
+        contentType: 'image/jpeg',
+        height: bytes.readUInt16BE(offset + 5),
+        width: bytes.readUInt16BE(offset + 7),
+      };
+    } else {
+      offset += 2 + bytes.readUInt16BE(offset + 2);
+    }
+  }
+  return { contentType: 'image/jpeg' };
+}
+
+// WebP (lossy, lossless and extended) and AVI share the RIFF container
+function probeRiff(bytes) {
+  if (bytes.length < 16 || bytes.toString('latin1', 0, 4) !== 'RIFF') return null;
+  const form = bytes.toString('latin1', 8, 12);
+
+  if (form === 'WEBP') {
+    const chunk = bytes.toString('latin1', 12, 16);
+    if (chunk === 'VP8 ' && bytes.length >= 30) {
+      return {
+        contentType: 'image/webp',
+        // 14-bit sizes; the top two bits are the scale
+        width: bytes.readUInt16LE(26) % 0x4000,
+        height: bytes.readUInt16LE(28) % 0x4000,
+      };
+    }
+    if (chunk === 'VP8L' && bytes.length >= 25) {
+      // Width - 1 and height - 1 packed as two 14-bit fields
+      const bits = bytes.readUInt32LE(21);
+      return {
+        contentType: 'image/webp',
+        width: (bits % 0x4000) + 1,
+        height: (Math.floor(bits / 0x4000) % 0x4000) + 1,
+      };
+    }
+    if (chunk === 'VP8X' && bytes.length >= 30) {
+      return {
+        contentType: 'image/webp',
+        width: bytes.readUIntLE(24, 3) + 1,
+        height: bytes.readUIntLE(27, 3) + 1,
+      };
+    }
+    return { contentType: 'image/webp' };
+  }
+
+  if (form === 'AVI ') {
+    // Main AVI header: dwWidth and dwHeight are its 9th and 10th fields
+    const header = bytes.indexOf('avih', 12, 'latin1');
+    if (header !== -1 && header + 48 <= bytes.length) {
+      return {
+        contentType: 'video/x-msvideo',
+        width: bytes.readUInt32LE(header + 40),
+        height: bytes.readUInt32LE(header + 44),
+      };
+    }
+    return { contentType: 'video/x-msvideo' };
+  }
+
+  return null;
+}
+
+// Calls visit(type, start, end) for each ISO BMFF box in a range, descending into containers
+function walkBoxes(bytes, start, end, containers, visit) {
+  let offset = start;
+  while (offset + 8 <= end) {
+    let size = bytes.readUInt32BE(offset);
+    const type = bytes.toString('latin1', offset + 4, offset + 8);
+    let header = 8;
+    if (size === 1 && offset + 16 <= end) {
+      size = Number(bytes.readBigUInt64BE(offset + 8));
+      header = 16;
+    } else if (size === 0) {
+      size = end - offset;
+    }
+    if (size < header) return;
+
+    const boxEnd = Math.min(offset + size, end);
+    if (containers.includes(type)) {
+      walkBoxes(bytes, offset + header, boxEnd, containers, visit);
+    } else {
+      visit(type, offset + header, boxEnd);
+    }
+    offset += size;
+  }
+}
+
+// AVIF images and MP4, M4V and MOV videos: the ftyp brands tell them apart
+function probeIsoBmff(bytes) {
+  if (bytes.length < 16 || bytes.toString('latin1', 4, 8) !== 'ftyp') return null;
+
+  const ftypEnd = Math.min(bytes.readUInt32BE(0), bytes.length);
+  const brands = [];
+  for (let offset = 8; offset + 4 <= ftypEnd; offset += 4) {
+    // The minor version follows the major brand
+    if (offset !== 12) brands.push(bytes.toString('latin1', offset, offset + 4));
+  }
+  // A truncated ftyp box says nothing about the file
+  if (brands.length === 0) return null;
+
+  if (brands.includes('avif') || brands.includes('avis')) {
+    // Image spatial extents: version/flags, then width and height
+    const ispe = bytes.indexOf('ispe', 0, 'latin1');
+    if (ispe !== -1 && ispe + 16 <= bytes.length) {
+      return {
+        contentType: 'image/avif',
+        width: bytes.readUInt32BE(ispe + 8),
+        height: bytes.readUInt32BE(ispe + 12),
+      };
+    }
+    return { contentType: 'image/avif' };
+  }
+
+  let contentType = 'video/mp4';
+  if (brands[0] === 'qt  ') {
+    contentType = 'video/quicktime';
+  } else if (brands[0].startsWith('M4V')) {
+    contentType = 'video/x-m4v';
+  }
+
+  // Track headers end with the display size (16.16 fixed point); audio tracks have none
+  const result = { contentType };
+  walkBoxes(bytes, 0, bytes.length, ['moov', 'trak'], (type, start, end) => {
+    if (type !== 'tkhd' || result.width) return;
+    const sizeOffset = start + (bytes[start] === 1 ? 88 : 76);
+    if (sizeOffset + 8 > end) return;
+    const width = Math.floor(bytes.readUInt32BE(sizeOffset) / 0x10000);
+    const height = Math.floor(bytes.readUInt32BE(sizeOffset + 4) / 0x10000);
+    if (width > 0 && height > 0) {
+      Object.assign(result, { width, height });
+    }
+  });
+  return result;
+}
+
+// EBML variable-length integer: the leading zero bits of the first byte give its length
+function readVint(bytes, offset, keepMarker) {
+  const first = bytes[offset];
+  if (!first) return null;
+  const length = Math.clz32(first) - 23;
+  if (offset + length > bytes.length) return null;
+
+  let value = keepMarker ? first : first % (2 ** (8 - length));
+  for (let i = 1; i < length; i += 1) {
+    value = value * 256 + bytes[offset + i];
+  }
+  return { value, length, unknown: !keepMarker && value === 2 ** (7 * length) - 1 };
+}
+
+function readUInt(bytes, start, end) {
+  let value = 0;
+  for (let i = start; i < end; i += 1) {
+    value = value * 256 + bytes[i];
+  }
+  return value;
+}
+
+// EBML header, Segment, Tracks, TrackEntry and Video: the elements leading to PixelWidth/Height
+const EBML_CONTAINERS = [0x1a45dfa3, 0x18538067, 0x1654ae6b, 0xae, 0xe0];
+const EBML_DOC_TYPE = 0x4282;
+const EBML_PIXEL_WIDTH = 0xb0;
+const EBML_PIXEL_HEIGHT = 0xba;
+
+// WebM and Matroska videos
+function probeEbml(bytes) {
+  if (bytes.length < 4 || bytes.readUInt32BE(0) !== 0x1a45dfa3) return null;
+
+  const found = {};
+  const walk = (start, end) => {
+    let offset = start;
+    while (offset < end) {
+      const id = readVint(bytes, offset, true);
+      const size = id && readVint(bytes, offset + id.length, false);
+      if (!size) return;
+
+      const dataStart = offset + id.length + size.length;
+      const dataEnd = size.unknown ? end : Math.min(dataStart + size.value, end);
+      if (EBML_CONTAINERS.includes(id.value)) {
+        walk(dataStart, dataEnd);
+      } else if (id.value === EBML_DOC_TYPE) {
+        found.docType = bytes.toString('latin1', dataStart, dataEnd);
+      } else if (id.value === EBML_PIXEL_WIDTH && !found.width) {
+        found.width = readUInt(bytes, dataStart, dataEnd);
+      } else if (id.value === EBML_PIXEL_HEIGHT && !found.height) {
+        found.height = readUInt(bytes, dataStart, dataEnd);
+      }
+      // An element of unknown size runs to the end of its parent
+      if (size.unknown) return;
+      offset = dataStart + size.value;
+    }
+  };
+  walk(0, bytes.length);
+
+  return {
+    contentType: found.docType === 'matroska' ? 'video/x-matroska' : 'video/webm',
+    width: found.width,
+    height: found.height,
+  };
+}
+
+const PROBES = [probePng, probeJpeg, probeGif, probeRiff, probeIsoBmff, probeEbml];
+
+/**
+ * Identifies a media file from its first bytes
+ * @param {Buffer} bytes - Start of the file
+ * @returns {Object|null} { contentType, width, height } (dimensions as strings, only if both
+ *   were found), or null if the format isn't recognized
+ */
+export function sniffMedia(bytes) {
+  for (const probe of PROBES) {
+    const result = probe(bytes);
+    if (result) {
+      const { contentType, width, height } = result;
+      return width > 0 && height > 0
+        ? { contentType, width: String(width), height: String(height) }
+        : { contentType };
+    }
+  }
+  return null;
+}
+
+// Reads at most limit bytes; a server that ignores the Range header would send the whole file
+async function readStart(response, limit) {
+  const chunks = [];
+  let length = 0;
+  for await (const chunk of response.body) {
+    chunks.push(chunk);
+    length += chunk.length;
+    // Leaving the loop destroys the stream, so the rest is never downloaded
+    if (length >= limit) break;
+  }
+  return Buffer.concat(chunks).subarray(0, limit);
+}
+
+/**
+ * Fetches the first bytes of a media file with a ranged request and identifies it
+ * @param {string} url - Absolute media URL
+ * @returns {Promise<Object|null>} Result of sniffMedia
+ */
+export async function probeMedia(url) {
+  const signal = timeoutSignal(PROBE_TIMEOUT_MS);
+  try {
+    const response = await fetch(url, {
+      headers: { Range: `bytes=0-${PROBE_BYTES - 1}` },
+      signal,
+    });
+    if (!response.ok) {
+      await response.text();
+      const error = new Error(`Failed to probe media: ${response.status}`);
+      error.status = response.status;
+      throw error;
+    }
+    return sniffMedia(await readStart(response, PROBE_BYTES));
+  } finally {
+    signal.clear();
+  }
+}
+
+/**
+ * Downloads a media file and computes the SHA-256 digest of its bytes
+ * @param {string} url - Absolute media URL
+ * @returns {Promise<string>} Hex digest
+ */
+export async function digestMedia(url) {
+  const signal = timeoutSignal(DIGEST_TIMEOUT_MS);
+  try {
+    const response = await fetch(url, { signal });
+    if (!response.ok) {
+      await response.text();
+      const error = new Error(`Failed to download media: ${response.status}`);
+      error.status = response.status;
+      throw error;
+    }
+    const hash = crypto.createHash('sha256');
+    for await (const chunk of response.body) {
+      hash.update(chunk);
+    }
+    return hash.digest('hex');
+  } finally {
+    signal.clear();
+  }
+}
+
+async function readCacheFile(filename) {
+  try {
+    return JSON.parse(await fs.readFile(filename, 'utf-8'));
+  } catch (err) {
+    if (err.code === 'ENOENT') return {};
+    throw new Error(`Failed to read probe cache ${filename}: ${err.message}`);
+  }
+}
+
+/**
+ * Reads the probe cache: probe results by media hash
+ * @param {string} filename - Path to the cache file
+ * @returns {Promise<Map<string, Object>>} Cached sniffMedia results ({} if unrecognized)
+ */
+export async function loadProbeCache(filename = DEFAULT_PROBE_CACHE_FILE) {
+  return new Map(Object.entries(await readCacheFile(filename)));
+}
+
+/**
+ * Writes the probe cache, merged with what other runs wrote to the file in the meantime
+ * @param {Map<string, Object>} cache - Probe results by media hash
+ * @param {string} filename - Path to the cache file
+ */
+export async function saveProbeCache(cache, filename = DEFAULT_PROBE_CACHE_FILE) {
+  const merged = { ...(await readCacheFile(filename)), ...Object.fromEntries(cache) };
+  const tmpFile = `${filename}.tmp`;
+  await fs.writeFile(tmpFile, JSON.stringify(merged, null, 2));
+  await fs.rename(tmpFile, filename);
+}
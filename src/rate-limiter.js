@@ -0,0 +1,143 @@
+import { fetch } from '@adobe/fetch';
+
+// The Admin API allows 10 requests per second, shared by every endpoint of a project
+export const DEFAULT_RATE_LIMIT = 10;
+
+const MAX_THROTTLE_RETRIES = 5;
+const MAX_BACKOFF_MS = 30000;
+
+// Rate never drops below this fraction of the configured limit
+const MIN_RATE_FACTOR = 0.1;
+
+// Share of the configured limit regained after each successful request
+const RECOVERY_FACTOR = 0.05;
+
+const sleep = (ms) => new Promise((resolve) => {
+  setTimeout(resolve, ms);
+});
+
+// Token bucket shared by every Admin API request of the process. It holds a single token:
+// the server counts requests per second, so a burst on top of the refill would overshoot.
+const bucket = {
+  limit: DEFAULT_RATE_LIMIT,
+  rate: DEFAULT_RATE_LIMIT,
+  tokens: 1,
+  refilledAt: Date.now(),
+  pausedUntil: 0,
+};
+
+/**
+ * Sets the request budget for all Admin API calls
+ * @param {number} requestsPerSecond - Maximum requests per second
+ */
+export function setRateLimit(requestsPerSecond) {
+  if (!(requestsPerSecond > 0)) {
+    throw new Error(`Invalid rate limit "${requestsPerSecond}" (use requests per second, e.g. 10)`);
+  }
+  bucket.limit = requestsPerSecond;
+  bucket.rate = requestsPerSecond;
+}
+
+function refill() {
+  const now = Date.now();
+  bucket.tokens = Math.min(1, bucket.tokens + ((now - bucket.refilledAt) / 1000) * bucket.rate);
+  bucket.refilledAt = now;
+}
+
+// Waits for a token; every caller of the process draws from the same bucket
+async function acquire() {
+  for (;;) {
+    refill();
+    const now = Date.now();
+    if (bucket.pausedUntil > now) {
+      await sleep(bucket.pausedUntil - now);
+    } else if (bucket.tokens >= 1) {
+      bucket.tokens -= 1;
+      return;
+    } else {
+      await sleep(Math.ceil(((1 - bucket.tokens) / bucket.rate) * 1000));
+    }
+  }
+}
+
+function pause(ms) {
+  bucket.pausedUntil = Math.max(bucket.pausedUntil, Date.now() + ms);
+}
+
+// Retry-After is either seconds or an HTTP date
+function parseRetryAfter(value) {
+  if (!value) return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(seconds * 1000, 0);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(date - Date.now(), 0);
+}
+
+// Reset headers are either seconds from now or an epoch timestamp in seconds
+function parseRateLimitReset(value) {
+  const seconds = Number(value);
+  if (!value || !Number.isFinite(seconds)) return null;
+  return seconds > 1e9 ? Math.max(seconds * 1000 - Date.now(), 0) : seconds * 1000;
+}
+
+// Pauses the bucket when the server says the budget is used up before it rejects anything
+function applyRateLimitHeaders(headers) {
+  const remaining = headers.get('ratelimit-remaining') ?? headers.get('x-ratelimit-remaining');
+  if (remaining === null || Number(remaining) > 0) return;
+
+  const reset = parseRateLimitReset(headers.get('ratelimit-reset') ?? headers.get('x-ratelimit-reset'));
+  if (reset !== null) {
+    pause(reset);
+  }
+}
+
+/**
+ * Whether a response is throttling that adminFetch retries itself (429, or 503 with Retry-After)
+ * @param {Response} response - Admin API response
+ * @returns {boolean} True if adminFetch backed off and retried it
+ */
+export function isThrottled(response) {
+  return response.status === 429
+    || (response.status === 503 && response.headers.get('retry-after') !== null);
+}
+
+// Exponential backoff with +/-50% jitter, so parallel requests don't retry in lockstep
+function getBackoff(attempt) {
+  const base = Math.min(2 ** attempt * 500, MAX_BACKOFF_MS);
+  return Math.round(base * (0.5 + Math.random()));
+}
+
+/**
+ * Fetch for admin.hlx.page that stays within the shared request budget
+ * Throttled responses (429, or 503 with Retry-After) halve the rate and are retried after
+ * Retry-After or a jittered backoff; successes gradually restore the configured rate.
+ * @param {string} url - Request URL
+ * @param {Object} options - Fetch options
+ * @returns {Promise<Response>} The response, throttled only if every retry was throttled
+ */
+export async function adminFetch(url, options = {}) {
+  // Retry loop: Sequential await is intentional, each attempt waits for the bucket
+  for (let attempt = 0; ; attempt += 1) {
+    await acquire();
+    const response = await fetch(url, options);
+    applyRateLimitHeaders(response.headers);
+
+    if (!isThrottled(response)) {
+      bucket.rate = Math.min(bucket.limit, bucket.rate + bucket.limit * RECOVERY_FACTOR);
+      return response;
+    }
+
+    // Requests in flight when the first one is throttled would halve the rate again
+    if (bucket.pausedUntil <= Date.now()) {
+      bucket.rate = Math.max(bucket.rate / 2, bucket.limit * MIN_RATE_FACTOR);
+    }
+    if (attempt >= MAX_THROTTLE_RETRIES) {
+      return response;
+    }
+
+    const retryAfter = parseRetryAfter(response.headers.get('retry-after'));
+    pause(retryAfter ?? getBackoff(attempt));
+    // Drain the rejected response so its connection can be reused
+    await response.text();
+  }
+}
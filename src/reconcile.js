@@ -0,0 +1,44 @@
+import { getLoggedMediaState } from './ingestor.js';
+import { getContentType } from './parser.js';
+import { getPageUrl, getSourcePath } from './schema.js';
+
+/**
+ * Builds 'remove' entries for (media, page) pairs the media log still reports as in use but
+ * that the freshly parsed content no longer references
+ * @param {Array} logEntries - Entries returned by fetchMediaLogEntries
+ * @param {Set<string>} currentKeys - getMediaLogKey of each entry extracted from the content
+ * @param {Function} isInScope - Whether a source page was covered by this run
+ * @param {Object} site - Site being reconciled ({ org, repo, ref })
+ * @returns {Array} Media log entries with operation 'remove'
+ */
+export function buildRemoveEntries(logEntries, currentKeys, isInScope, site) {
+  const { org, repo, ref } = site;
+  const removals = [];
+
+  getLoggedMediaState(logEntries).forEach((logged, key) => {
+    const sourcePath = getSourcePath(logged);
+
+    // Standalone media and pages outside this run's scope can't be judged from its content
+    if (!sourcePath || !isInScope(sourcePath) || currentKeys.has(key)) return;
+
+    const pageUrl = logged.contentSourcePath || getPageUrl(org, repo, ref, sourcePath);
+    const entry = {
+      owner: org,
+      repo,
+      operation: 'remove',
+      path: logged.path,
+      contentSourceType: 'markup',
+      contentSourcePath: pageUrl,
+      resourcePath: sourcePath,
+    };
+
+    const contentType = logged.contentType || getContentType(logged.path);
+    if (contentType) {
+      entry.contentType = contentType;
+    }
+
+    removals.push(entry);
+  });
+
+  return removals;
+}
@@ -0,0 +1,64 @@
+import fs from 'fs/promises';
+
+export const DEFAULT_HISTORY_FILE = 'logmedia-history.json';
+
+// One history file serves every site of a --config run; writes are chained like checkpoint saves
+let writeChain = Promise.resolve();
+
+// Runs limited to a path filter or reading the live partition only cover part of what a
+// default run covers, so they are tracked separately
+function getHistoryKey(target) {
+  const {
+    org, repo, ref, path, partition,
+  } = target;
+
+  let key = `${org}/${repo}/${ref}`;
+  if (path && path !== '/*') {
+    key += `:${path}`;
+  }
+  if (partition && partition !== 'preview') {
+    key += `@${partition}`;
+  }
+  return key;
+}
+
+async function readHistory(filename) {
+  try {
+    const content = await fs.readFile(filename, 'utf-8');
+    return JSON.parse(content);
+  } catch (err) {
+    if (err.code === 'ENOENT') return {};
+    throw new Error(`Failed to read run history ${filename}: ${err.message}`);
+  }
+}
+
+/**
+ * Returns when the last successful run for a site started
+ * @param {Object} target - Run target ({ org, repo, ref, path, partition })
+ * @param {string} filename - Path to the run history file
+ * @returns {Promise<Date|null>} Start of the last successful run, or null if there is none
+ */
+export async function getLastRun(target, filename = DEFAULT_HISTORY_FILE) {
+  const history = await readHistory(filename);
+  const lastRun = history[getHistoryKey(target)]?.lastRun;
+  return lastRun ? new Date(lastRun) : null;
+}
+
+/**
+ * Records a successful run for a site
+ * Stores the start time, not the end, so pages previewed during the run are picked up next time
+ * @param {Object} target - Run target ({ org, repo, ref, path, partition })
+ * @param {Date} startedAt - When the run started
+ * @param {string} filename - Path to the run history file
+ */
+export function recordRun(target, startedAt, filename = DEFAULT_HISTORY_FILE) {
+  writeChain = writeChain
+    .catch(() => {})
+    .then(async () => {
+      const history = await readHistory(filename);
+      history[getHistoryKey(target)] = { lastRun: startedAt.toISOString() };
+      await fs.writeFile(filename, JSON.stringify(history, null, 2));
+    });
+
+  return writeChain;
+}
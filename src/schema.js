@@ -0,0 +1,171 @@
+// Media log entry schema, as documented in the README's "Log Entry Structure"
+
+export const OPERATIONS = ['ingest', 'reuse', 'remove'];
+
+// Fields the media log API accepts; anything else on an entry (e.g. resourcePath) stays local
+const ENTRY_FIELDS = [
+  'owner', 'repo', 'operation', 'path', 'contentType', 'contentSourceType', 'contentSourcePath',
+  'width', 'height', 'alt', 'title', 'user', 'timestamp',
+];
+
+/**
+ * Origin every page and media URL of a site is built on
+ * @param {string} org - Organization name
+ * @param {string} repo - Repository name
+ * @param {string} ref - Git reference
+ * @returns {string} e.g. https://main--mysite--myorg.aem.page
+ */
+export function getSiteOrigin(org, repo, ref) {
+  return `https://${ref}--${repo}--${org}.aem.page`;
+}
+
+/**
+ * Full URL of a resource path on the site
+ * @param {string} org - Organization name
+ * @param {string} repo - Repository name
+ * @param {string} ref - Git reference
+ * @param {string} resourcePath - Resource path (e.g., /products/page)
+ * @returns {string} e.g. https://main--mysite--myorg.aem.page/products/page
+ */
+export function getPageUrl(org, repo, ref, resourcePath) {
+  return `${getSiteOrigin(org, repo, ref)}${resourcePath}`;
+}
+
+/**
+ * Resolves a media URL as referenced on a page (./media_1.png, /media_1.png or absolute)
+ * @param {string} url - Media URL from the content
+ * @param {string} pageUrl - Full URL of the referencing page
+ * @returns {string} Absolute URL, or the URL unchanged if it can't be resolved
+ */
+export function resolveMediaUrl(url, pageUrl) {
+  try {
+    return new URL(url, pageUrl).href;
+  } catch (err) {
+    return url;
+  }
+}
+
+// Path part of an absolute URL; anything else is returned as it is
+function getUrlPath(url) {
+  try {
+    return new URL(url).pathname;
+  } catch (err) {
+    return url;
+  }
+}
+
+/**
+ * Resource path of the page an entry's media is referenced from
+ * Entries read back from the media log may only carry the full contentSourcePath.
+ * @param {Object} entry - Media log entry
+ * @returns {string|null} Page path (e.g., /products/page), or null for standalone media
+ */
+export function getSourcePath(entry) {
+  if (entry.resourcePath) return entry.resourcePath;
+  return entry.contentSourcePath ? getUrlPath(entry.contentSourcePath) : null;
+}
+
+/**
+ * Resource path an entry is attributed to: its source page, or the media itself when standalone
+ * @param {Object} entry - Media log entry
+ * @returns {string} Resource path
+ */
+export function getAttributedPath(entry) {
+  return getSourcePath(entry) || getUrlPath(entry.path);
+}
+
+/**
+ * Copy of an entry read back from the media log with its media URL made absolute
+ * Entries logged before media URLs were resolved hold them relative to their page.
+ * @param {Object} entry - Media log entry
+ * @param {Object} site - Site the entry was logged for ({ org, repo, ref })
+ * @returns {Object} Entry whose path compares with freshly extracted entries
+ */
+export function resolveLoggedEntry(entry, site) {
+  if (!entry.path) return entry;
+  const { org, repo, ref } = site;
+  const pageUrl = entry.contentSourcePath || getPageUrl(org, repo, ref, getSourcePath(entry) || '/');
+  return { ...entry, path: resolveMediaUrl(entry.path, pageUrl) };
+}
+
+/**
+ * Copy of an entry saved by an earlier version (e.g. in failed-entries.json), in the current
+ * schema: older entries hold media URLs relative to their page, and only the page's
+ * resourcePath, which is not sent
+ * @param {Object} entry - Media log entry
+ * @param {Object} site - Site the entry was built for ({ org, repo, ref })
+ * @returns {Object} Entry with an absolute path, contentSourceType and contentSourcePath
+ */
+export function upgradeEntry(entry, site) {
+  const { org, repo, ref } = site;
+  const sourcePath = getSourcePath(entry);
+  const contentSourcePath = entry.contentSourcePath
+    || (sourcePath ? getPageUrl(org, repo, ref, sourcePath) : undefined);
+  return {
+    ...resolveLoggedEntry(entry, site),
+    contentSourceType: entry.contentSourceType || 'markup',
+    ...(contentSourcePath && { contentSourcePath }),
+  };
+}
+
+function isAbsoluteUrl(value) {
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch (err) {
+    return false;
+  }
+}
+
+const isText = (value) => typeof value === 'string' && value.length > 0;
+
+/**
+ * Checks an entry against the media log schema
+ * @param {Object} entry - Media log entry
+ * @returns {Array<string>} Problems found, empty if the entry can be sent
+ */
+export function validateMediaLogEntry(entry) {
+  const problems = [];
+
+  if (!isText(entry.owner)) problems.push('owner is missing');
+  if (!isText(entry.repo)) problems.push('repo is missing');
+  if (!OPERATIONS.includes(entry.operation)) {
+    problems.push(`operation must be one of ${OPERATIONS.join(', ')}`);
+  }
+  if (!isAbsoluteUrl(entry.path)) problems.push('path is not an absolute http(s) URL');
+  if (entry.contentSourceType !== 'markup') problems.push('contentSourceType must be "markup"');
+  if (entry.contentSourcePath !== undefined && !isAbsoluteUrl(entry.contentSourcePath)) {
+    problems.push('contentSourcePath is not an absolute http(s) URL');
+  }
+  if (entry.contentType !== undefined && !/^[a-z]+\/[\w.+-]+$/.test(entry.contentType)) {
+    problems.push('contentType is not a MIME type');
+  }
+  if ((entry.width === undefined) !== (entry.height === undefined)) {
+    problems.push('width and height must be set together');
+  }
+  ['width', 'height'].forEach((field) => {
+    if (entry[field] !== undefined && !/^[1-9]\d*$/.test(entry[field])) {
+      problems.push(`${field} is not a positive whole number`);
+    }
+  });
+  ['alt', 'title', 'user'].forEach((field) => {
+    if (entry[field] !== undefined && typeof entry[field] !== 'string') {
+      problems.push(`${field} is not a string`);
+    }
+  });
+  if (entry.timestamp !== undefined && !Number.isFinite(entry.timestamp)) {
+    problems.push('timestamp is not a time in milliseconds');
+  }
+
+  return problems;
+}
+
+/**
+ * Copy of an entry with only the fields the media log API accepts
+ * @param {Object} entry - Media log entry, possibly with local fields such as resourcePath
+ * @returns {Object} Entry as sent to the API
+ */
+export function toMediaLogEntry(entry) {
+  return Object.fromEntries(ENTRY_FIELDS
+    .filter((field) => entry[field] !== undefined)
+    .map((field) => [field, entry[field]]));
+}
@@ -0,0 +1,98 @@
+import fs from 'fs/promises';
+import { parse as parsePath, join as joinPath } from 'path';
+import { generateReport } from './ingestor.js';
+
+const SITE_FIELDS = ['org', 'repo', 'ref', 'path', 'user', 'tokenEnv'];
+
+/**
+ * Reads and validates a multi-site config file
+ * The file is either a list of sites or { defaults, sites }, where defaults apply to every site
+ * @param {string} filename - Path to the config file
+ * @param {Object} fallback - Values used when neither the site nor the defaults set them
+ * @returns {Promise<Array>} Sites ({ org, repo, ref, path, user, tokenEnv })
+ */
+export async function loadSitesConfig(filename, fallback = {}) {
+  let config;
+  try {
+    config = JSON.parse(await fs.readFile(filename, 'utf-8'));
+  } catch (err) {
+    throw new Error(`Failed to read config ${filename}: ${err.message}`);
+  }
+
+  const sites = Array.isArray(config) ? config : config.sites;
+  const defaults = (!Array.isArray(config) && config.defaults) || {};
+  if (!Array.isArray(sites) || sites.length === 0) {
+    throw new Error(`${filename} does not list any sites`);
+  }
+
+  const seen = new Set();
+  return sites.map((entry, index) => {
+    const site = { ...fallback, ...defaults, ...entry };
+    const unknown = Object.keys(site).filter((key) => !SITE_FIELDS.includes(key));
+    if (unknown.length > 0) {
+      throw new Error(`${filename}: site ${index + 1} has unknown fields: ${unknown.join(', ')}`);
+    }
+    if (!site.org || !site.repo) {
+      throw new Error(`${filename}: site ${index + 1} needs "org" and "repo"`);
+    }
+
+    const key = `${site.org}/${site.repo}/${site.ref}${site.path}`;
+    if (seen.has(key)) {
+      throw new Error(`${filename}: site ${index + 1} (${site.org}/${site.repo}) is listed twice`);
+    }
+    seen.add(key);
+
+    return site;
+  });
+}
+
+/**
+ * Derives a checkpoint file per site, so sites running side by side never share one
+ * @param {string} checkpointFile - Checkpoint file given with --checkpoint
+ * @param {Object} site - Site ({ org, repo, ref, path })
+ * @returns {string} e.g. ingest-checkpoint.myorg-mysite-main.json
+ */
+export function getSiteCheckpointFile(checkpointFile, site) {
+  const { dir, name, ext } = parsePath(checkpointFile);
+  const pathSlug = site.path === '/*' ? '' : site.path.replace(/[^a-z0-9]+/gi, '-').replace(/-+$/, '');
+  return joinPath(dir, `${name}.${site.org}-${site.repo}-${site.ref}${pathSlug}${ext}`);
+}
+
+/**
+ * Adds up the stats of several sites; counters no site reported stay undefined
+ * @param {Array<Object>} statsList - Stats of each site
+ * @returns {Object} Combined stats
+ */
+export function combineStats(statsList) {
+  const combined = {};
+  statsList.forEach((stats) => {
+    Object.entries(stats).forEach(([key, value]) => {
+      if (typeof value === 'number') {
+        combined[key] = (combined[key] || 0) + value;
+      }
+    });
+  });
+  return combined;
+}
+
+export function generateSitesReport(results) {
+  const lines = results.map((result) => {
+    const site = `${result.org}/${result.repo}/${result.ref}`;
+    if (!result.stats) {
+      return `  ✗ ${site}: ${result.error}`;
+    }
+    const { totalMediaFound, batchesSent, errors } = result.stats;
+    const icon = { success: '✓', partial: '⚠️ ', interrupted: '⏸️ ' }[result.status] || '✗';
+    const error = result.error ? ` (${result.error})` : '';
+    return `  ${icon} ${site}: ${totalMediaFound} media, ${batchesSent} batches, ${errors} errors${error}`;
+  });
+
+  const succeeded = results.filter((result) => result.status === 'success').length;
+  const combined = combineStats(results.filter((result) => result.stats).map((r) => r.stats));
+
+  return `
+🌐 Sites (${succeeded}/${results.length} succeeded)
+━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+${lines.join('\n')}
+${generateReport(combined).replace('Media Log Ingestion Report', 'Combined Report (all sites)')}`;
+}
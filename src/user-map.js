@@ -0,0 +1,120 @@
+import fs from 'fs/promises';
+import { matchesPathPattern } from './discovery.js';
+
+// Where an entry's user can come from: the --user-map file, the preview log, or --user
+export const USER_SOURCES = ['map', 'preview', 'fallback'];
+
+export const DEFAULT_USER_PRIORITY = ['map', 'preview', 'fallback'];
+
+// Splits a CSV line into fields; quoted fields may hold commas and "" for a quote
+function parseCsvLine(line) {
+  const fields = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < line.length; i += 1) {
+    const char = line[i];
+    if (quoted) {
+      if (char === '"' && line[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      fields.push(field.trim());
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  fields.push(field.trim());
+  return fields;
+}
+
+// Rows of "path,user"; a first row of "path,user" is a header and blank or # lines are skipped
+function parseUserMapCsv(content) {
+  const rows = content.split(/\r?\n/)
+    .filter((line) => line.trim() && !line.trim().startsWith('#'))
+    .map(parseCsvLine);
+  if (rows.length > 0 && rows[0][0].toLowerCase() === 'path' && rows[0][1]?.toLowerCase() === 'user') {
+    rows.shift();
+  }
+  return rows.map(([path, user]) => ({ path, user }));
+}
+
+// Either { "<path or glob>": "<user>" } or [{ "path": ..., "user": ... }]
+function parseUserMapJson(content) {
+  const data = JSON.parse(content);
+  if (Array.isArray(data)) {
+    return data.map((mapping) => ({ path: mapping?.path, user: mapping?.user }));
+  }
+  if (data && typeof data === 'object') {
+    return Object.entries(data).map(([path, user]) => ({ path, user }));
+  }
+  throw new Error('expected an object of path to user, or a list of { path, user }');
+}
+
+/**
+ * Reads a user map file (CSV or JSON, by extension) that assigns users to paths
+ * Paths are exact resource paths or patterns where * matches any sequence of characters.
+ * @param {string} filename - Path to the user map file
+ * @returns {Promise<Object>} User map ({ exact: path to user Map, patterns: [{ pattern, user }] })
+ */
+export async function loadUserMap(filename) {
+  let mappings;
+  try {
+    const content = await fs.readFile(filename, 'utf-8');
+    mappings = filename.toLowerCase().endsWith('.json')
+      ? parseUserMapJson(content)
+      : parseUserMapCsv(content);
+  } catch (err) {
+    throw new Error(`Failed to read user map ${filename}: ${err.message}`);
+  }
+
+  const userMap = { exact: new Map(), patterns: [] };
+  mappings.forEach(({ path, user }, index) => {
+    if (typeof path !== 'string' || !path.startsWith('/') || typeof user !== 'string' || !user) {
+      throw new Error(`${filename}: mapping ${index + 1} needs a "path" starting with / and a "user"`);
+    }
+    if (path.includes('*')) {
+      userMap.patterns.push({ pattern: path, user });
+    } else if (!userMap.exact.has(path)) {
+      userMap.exact.set(path, user);
+    }
+  });
+  return userMap;
+}
+
+/**
+ * Looks up the user a user map assigns to a path
+ * An exact path wins over patterns; among patterns, the first one listed in the file wins.
+ * @param {Object|null} userMap - User map from loadUserMap
+ * @param {string} path - Resource path
+ * @returns {string|null} User, or null if nothing matches
+ */
+export function getMappedUser(userMap, path) {
+  if (!userMap || !path) return null;
+  if (userMap.exact.has(path)) {
+    return userMap.exact.get(path);
+  }
+  const match = userMap.patterns.find(({ pattern }) => matchesPathPattern(path, pattern));
+  return match ? match.user : null;
+}
+
+/**
+ * Parses a --user-priority value: the user sources to try, in order
+ * @param {string} value - Comma-separated sources (e.g., preview,map,fallback)
+ * @returns {Array<string>} Sources from USER_SOURCES
+ */
+export function parseUserPriority(value) {
+  const sources = value.split(',').map((source) => source.trim()).filter(Boolean);
+  const unknown = sources.filter((source) => !USER_SOURCES.includes(source));
+  if (sources.length === 0 || unknown.length > 0) {
+    throw new Error(`Invalid --user-priority "${value}" (use a comma-separated order of ${USER_SOURCES.join(', ')})`);
+  }
+  return [...new Set(sources)];
+}